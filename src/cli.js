@@ -5,26 +5,103 @@
  */
 
 import { Migrator } from './index.js';
+import { CONFIG_FILE_NAMES, findConfigFile, loadEnvFiles, loadConfigFile } from './utils/config.js';
 import fs from 'fs/promises';
 import path from 'path';
+import readline from 'readline/promises';
 import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DEFAULT_CONFIG_NAME = 'migration.config.js';
 
+// Options that take a value (`--name value` or `--name=value`); all others are boolean flags
+const VALUE_OPTIONS = new Set(['to', 'steps', 'env', 'config', 'tenant']);
+
+// Exit codes of `checkpoint check`, by the state Migrator#check() reports (1 is any error)
+const CHECK_EXIT_CODES = {
+  'up-to-date': 0,
+  pending: 2,
+  'missing-table': 3,
+};
+
+// Keeps human-readable progress out of `--json` output
+const SILENT_LOGGER = { info() {}, warn() {} };
+
+/**
+ * Splits command arguments into positionals and `--option` flags.
+ * Option names are converted to camelCase (`--dry-run` becomes `dryRun`).
+ * @param {string[]} args - Arguments following the command name
+ * @returns {{positionals: string[], options: Object}} Parsed arguments
+ * @throws {Error} If a value option is missing its value
+ */
+function parseArgs(args) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const key = flag.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+    if (!VALUE_OPTIONS.has(flag)) {
+      options[key] = true;
+    } else if (inlineValue !== undefined) {
+      options[key] = inlineValue;
+    } else if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+      options[key] = args[++i];
+    } else {
+      throw new Error(`Option --${flag} requires a value`);
+    }
+  }
+
+  return { positionals, options };
+}
+
 /**
- * Loads the migration configuration file from the current working directory
+ * Loads the migration configuration file given by `--config`, or the first
+ * one found in the current directory or its parents up to the project root.
+ * `.env` files next to it are loaded first, and relative paths in the
+ * config are resolved from its directory.
+ * @param {Object} [options] - Parsed command options
+ * @param {string} [options.config] - Path to the config file
+ * @param {string} [options.env] - Environment to select from the config's `environments` map
  * @returns {Promise<Object>} Configuration object
- * @throws {Error} If config file is not found
+ * @throws {Error} If no config file is found, or it fails to load
  */
-async function loadConfig() {
-  try {
-    const configPath = path.resolve(process.cwd(), DEFAULT_CONFIG_NAME);
-    const config = await import(`file://${configPath}`);
-    return config.default;
-  } catch (err) {
-    throw new Error(`Config file not found. Run 'checkpoint init' first.`);
+async function loadConfig(options = {}) {
+  const configPath = options.config ? path.resolve(options.config) : await findConfigFile(process.cwd());
+  if (!configPath) {
+    throw new Error(
+      `No config file found in ${process.cwd()} or its parent directories ` +
+      `(looked for ${CONFIG_FILE_NAMES.join(', ')}). Run 'checkpoint init' first.`
+    );
   }
+
+  const configDir = path.dirname(configPath);
+  await loadEnvFiles(configDir, options.env || process.env.NODE_ENV || 'development');
+  const config = await loadConfigFile(configPath);
+  process.chdir(configDir);
+  return options.env ? { ...config, environment: options.env } : config;
+}
+
+/**
+ * Loads the config and creates a Migrator for it, narrowed to one tenant
+ * when `--tenant` is given
+ * @param {Object} options - Parsed command options (see loadConfig())
+ * @param {string} [options.tenant] - Tenant to run the command for
+ * @param {Object} [overrides={}] - Config settings to override
+ * @returns {Promise<Migrator>} Migrator for the command
+ * @throws {Error} If the config cannot be loaded or the tenant does not exist
+ */
+async function createMigrator(options, overrides = {}) {
+  const config = await loadConfig(options);
+  const migrator = new Migrator({ ...config, ...overrides });
+  return options.tenant ? migrator.forTenant(options.tenant) : migrator;
 }
 
 /**
@@ -34,13 +111,24 @@ async function loadConfig() {
 async function scaffoldConfig() {
   const configPath = path.join(process.cwd(), DEFAULT_CONFIG_NAME);
   const template = `export default {
-  database: {
-    type: process.env.DB_TYPE || 'postgres',
-    host: process.env.DB_HOST || 'localhost',
-    port: process.env.DB_PORT || 5432,
-    user: process.env.DB_USER || 'root',
-    password: process.env.DB_PASSWORD || '',
-    database: process.env.DB_NAME || 'mydb',
+  // Selected with --env, or NODE_ENV (default: development)
+  environments: {
+    development: {
+      database: {
+        type: process.env.DB_TYPE || 'postgres',
+        host: process.env.DB_HOST || 'localhost',
+        port: process.env.DB_PORT || 5432,
+        user: process.env.DB_USER || 'root',
+        password: process.env.DB_PASSWORD || '',
+        database: process.env.DB_NAME || 'mydb',
+      },
+    },
+    test: {
+      database: { url: process.env.TEST_DATABASE_URL || 'postgres://root@localhost:5432/mydb_test' },
+    },
+    production: {
+      database: { url: process.env.DATABASE_URL },
+    },
   },
   migrationsDir: process.env.MIGRATIONS_DIR || './migrations',
   tableName: 'schema_migrations',
@@ -50,38 +138,103 @@ async function scaffoldConfig() {
   console.log(`✓ Created ${DEFAULT_CONFIG_NAME}`);
 }
 
+/**
+ * Asks the user to confirm removing orphaned tracking rows
+ * @param {string[]} names - Rows about to be removed
+ * @returns {Promise<boolean>} True if the user answered yes
+ * @throws {Error} If stdin is not a terminal
+ */
+async function confirmPrune(names) {
+  if (!process.stdin.isTTY) {
+    throw new Error('Cannot ask for confirmation without a terminal; pass --yes to prune anyway');
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await rl.question(`Remove ${names.length} tracking row(s)? [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
 /**
  * Main CLI entry point - parses command line arguments and executes commands
  */
 async function main() {
-  const [, , command, ...args] = process.argv;
+  const [, , command, ...rawArgs] = process.argv;
 
   try {
+    const { positionals: args, options } = parseArgs(rawArgs);
+
     switch (command) {
       case 'init':
         await scaffoldConfig();
-        const config = await loadConfig();
+        const config = await loadConfig({ ...options, config: DEFAULT_CONFIG_NAME });
         const migrator = new Migrator(config);
         await migrator.init();
         break;
 
       case 'up':
       case 'down':
-      case 'status': {
-        const config = await loadConfig();
-        const migrator = new Migrator(config);
-        await migrator[command]();
+      case 'redo':
+      case 'reset':
+      case 'verify':
+      case 'drift':
+      case 'unlock': {
+        const migrator = await createMigrator(options);
+        await migrator[command](options);
+        break;
+      }
+
+      case 'status':
+      case 'check': {
+        const migrator = await createMigrator(options, options.json ? { logger: SILENT_LOGGER } : {});
+        const result = await migrator[command](options);
+        if (options.json) {
+          console.log(JSON.stringify(result, null, 2));
+        }
+        if (command === 'check') {
+          process.exitCode = CHECK_EXIT_CODES[result.state];
+        }
+        break;
+      }
+
+      case 'schema:dump':
+      case 'schema:load': {
+        const migrator = await createMigrator(options);
+        await (command === 'schema:dump' ? migrator.dumpSchema() : migrator.loadSchema());
+        break;
+      }
+
+      case 'prune': {
+        const migrator = await createMigrator(options);
+        await migrator.prune({ yes: options.yes, confirm: confirmPrune });
+        break;
+      }
+
+      case 'seed:run': {
+        const migrator = await createMigrator(options);
+        await migrator.seed({ only: args });
+        break;
+      }
+
+      case 'seed:create': {
+        if (!args[0]) {
+          console.error('Usage: checkpoint seed:create <name>');
+          process.exit(1);
+        }
+        const migrator = await createMigrator(options);
+        await migrator.createSeed(args[0]);
         break;
       }
 
       case 'create': {
         if (!args[0]) {
-          console.error('Usage: checkpoint create <name>');
+          console.error('Usage: checkpoint create <name> [--sql]');
           process.exit(1);
         }
-        const config = await loadConfig();
-        const migrator = new Migrator(config);
-        await migrator.create(args[0]);
+        const migrator = await createMigrator(options);
+        await migrator.create(args[0], { sql: options.sql });
         break;
       }
 
@@ -92,25 +245,63 @@ node-checkpoint - Rails-like database migration tool
 Usage:
   checkpoint init           Initialize checkpoint in current directory
   checkpoint up             Run all pending migrations
+                            --to <migration>  Stop after this migration
+                            --dry-run  Print the SQL that would run, change nothing
   checkpoint down           Rollback the last migration
-  checkpoint status         Show migration status (executed and pending)
+                            --batch  Rollback every migration from the last 'up' run
+                            --to <migration>  Rollback everything applied after this migration
+                            --steps <n>  Rollback the last n migrations
+                            --dry-run  Print the SQL that would run, change nothing
+  checkpoint redo           Rollback the last migration and run it again
+                            --steps <n>  Redo the last n migrations
+  checkpoint reset          Rollback all migrations, then run them all again
+  checkpoint status         Show migration status (executed grouped by batch, pending, out of order)
+                            --json  Print each migration with its state and applied time as JSON
+  checkpoint check          Exit 0 if up to date, 2 if migrations are pending, 3 if the tracking table is missing
+                            --json  Print the result as JSON
+  checkpoint verify         Fail if an applied migration was edited after it ran
+  checkpoint drift          Fail if the database schema differs from what the migrations produce
+  checkpoint schema:dump    Write the current schema and applied migrations to schema.sql
+  checkpoint schema:load    Build an empty database from schema.sql
   checkpoint create <name>  Create a new migration file
+                            --sql  Write a plain SQL migration instead of JS
+  checkpoint seed:create <name>
+                            Create a new seed file
+  checkpoint seed:run       Run the seeds for the current environment
+                            <seed...>  Only run these seeds
+  checkpoint unlock         Clear a stale migration lock left by a crashed run
+  checkpoint prune          Remove tracking rows whose migration file is gone
+                            --yes  Skip the confirmation prompt
+
+Options:
+  --env <name>              Use this entry of the config's environments map (default: NODE_ENV, then development)
+  --config <path>           Config file to use (default: migration.config.{js,mjs,cjs,json} in this or a parent directory)
+  --tenant <name>           In tenant mode, run the command for this tenant only
+  --fail-fast               In tenant mode, stop after the first tenant that fails (up, down, status)
 
 Examples:
   checkpoint init
   checkpoint create add_users_table
+  checkpoint create add_orders_table --sql
   checkpoint up
   checkpoint status
   checkpoint down
+  checkpoint up --to 20250130120000
+  checkpoint down --steps 3
+  checkpoint up --dry-run
+  checkpoint up --env production
+  checkpoint seed:run roles --env test
 
 Environment Variables:
-  DB_TYPE        Database type (postgres or mysql)
+  DB_TYPE        Database type (postgres, mysql or sqlite)
   DB_HOST        Database host (default: localhost)
   DB_PORT        Database port (default: 5432 for postgres, 3306 for mysql)
   DB_USER        Database user
   DB_PASSWORD    Database password
   DB_NAME        Database name
   MIGRATIONS_DIR Migrations directory (default: ./migrations)
+  DATABASE_URL   Connection URL used by the production environment of the generated config
+  NODE_ENV       Environment to use when --env is not given
 
 For more information, visit: https://github.com/yourusername/node-checkpoint
         `);
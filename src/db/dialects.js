@@ -0,0 +1,90 @@
+/**
+ * SQL dialects used by the schema builder
+ * @module db/dialects
+ *
+ * Each dialect maps the portable column types to native ones and knows the
+ * statements whose syntax differs between databases.
+ */
+
+/**
+ * Types shared by most databases; dialects override the ones that differ
+ * @private
+ */
+const STANDARD_TYPES = {
+  integer: () => 'INTEGER',
+  bigInteger: () => 'BIGINT',
+  string: ({ length = 255 }) => `VARCHAR(${length})`,
+  text: () => 'TEXT',
+  boolean: () => 'BOOLEAN',
+  decimal: ({ precision = 10, scale = 2 }) => `DECIMAL(${precision}, ${scale})`,
+  float: () => 'REAL',
+  double: () => 'DOUBLE PRECISION',
+  date: () => 'DATE',
+  timestamp: () => 'TIMESTAMP',
+  json: () => 'TEXT',
+  uuid: () => 'CHAR(36)',
+  binary: () => 'BLOB',
+};
+
+export const DIALECTS = {
+  postgres: {
+    quote: '"',
+    types: {
+      ...STANDARD_TYPES,
+      increments: () => 'SERIAL PRIMARY KEY',
+      bigIncrements: () => 'BIGSERIAL PRIMARY KEY',
+      json: () => 'JSONB',
+      uuid: () => 'UUID',
+      binary: () => 'BYTEA',
+    },
+    formatBoolean: value => (value ? 'TRUE' : 'FALSE'),
+    escapeString: value => value.replace(/'/g, "''"),
+    // Indexes live in their table's schema, so qualify the name the same way
+    dropIndex: (table, index) => {
+      const schema = table.includes('.') ? `${table.slice(0, table.lastIndexOf('.'))}.` : '';
+      return `DROP INDEX ${schema}${index}`;
+    },
+    dropForeignKey: (table, name) => `ALTER TABLE ${table} DROP CONSTRAINT ${name}`,
+    supportsAlterForeignKeys: true,
+  },
+
+  mysql: {
+    quote: '`',
+    types: {
+      ...STANDARD_TYPES,
+      increments: () => 'INT AUTO_INCREMENT PRIMARY KEY',
+      bigIncrements: () => 'BIGINT AUTO_INCREMENT PRIMARY KEY',
+      integer: () => 'INT',
+      float: () => 'FLOAT',
+      double: () => 'DOUBLE',
+      timestamp: () => 'DATETIME',
+      json: () => 'JSON',
+    },
+    formatBoolean: value => (value ? 'TRUE' : 'FALSE'),
+    // Backslashes are escape characters in MySQL string literals by default
+    escapeString: value => value.replace(/\\/g, '\\\\').replace(/'/g, "''"),
+    dropIndex: (table, index) => `DROP INDEX ${index} ON ${table}`,
+    dropForeignKey: (table, name) => `ALTER TABLE ${table} DROP FOREIGN KEY ${name}`,
+    supportsAlterForeignKeys: true,
+  },
+
+  sqlite: {
+    quote: '"',
+    types: {
+      ...STANDARD_TYPES,
+      increments: () => 'INTEGER PRIMARY KEY AUTOINCREMENT',
+      bigIncrements: () => 'INTEGER PRIMARY KEY AUTOINCREMENT',
+      double: () => 'REAL',
+    },
+    formatBoolean: value => (value ? '1' : '0'),
+    escapeString: value => value.replace(/'/g, "''"),
+    dropIndex: (table, index) => `DROP INDEX ${index}`,
+    // SQLite cannot add or drop constraints on an existing table
+    supportsAlterForeignKeys: false,
+  },
+};
+
+/**
+ * Portable column types accepted by the schema builder
+ */
+export const COLUMN_TYPES = Object.keys(DIALECTS.postgres.types);
@@ -4,6 +4,25 @@
  */
 
 import mysql from 'mysql2/promise';
+import crypto from 'crypto';
+import { TRACKING_TABLE_COLUMNS } from '../utils/constants.js';
+import { SchemaBuilder } from './schema-builder.js';
+
+// MySQL rejects user-level lock names longer than 64 characters
+const MAX_LOCK_NAME_LENGTH = 64;
+
+// Upper bound of lock_wait_timeout (one year), in seconds
+const MAX_LOCK_WAIT_SECONDS = 31536000;
+
+/**
+ * Quotes an identifier with backticks
+ * @private
+ * @param {string} name - Identifier
+ * @returns {string} Quoted identifier
+ */
+function quoteIdentifier(name) {
+  return `\`${name.replace(/`/g, '``')}\``;
+}
 
 /**
  * MySQL adapter class implementing the database adapter interface
@@ -17,6 +36,7 @@ export class MysqlAdapter {
    * @param {string} config.user - Database user
    * @param {string} config.password - Database password
    * @param {string} config.database - Database name
+   * @param {Object} [config.options] - Extra driver options, such as `ssl`
    */
   constructor(config) {
     this.config = {
@@ -25,8 +45,70 @@ export class MysqlAdapter {
       user: config.user,
       password: config.password,
       database: config.database,
+      ...config.options,
     };
     this.connection = null;
+    this.schema = new SchemaBuilder(this, 'mysql');
+  }
+
+  /**
+   * Builds the GET_LOCK name for a migrations table. User-level locks are
+   * server-wide, so the name includes the database.
+   * @private
+   * @param {string} tableName - Name of the migrations table
+   * @returns {string} Lock name
+   */
+  getLockName(tableName) {
+    const name = `checkpoint:${this.config.database}.${tableName}`;
+    if (name.length <= MAX_LOCK_NAME_LENGTH) {
+      return name;
+    }
+    return `checkpoint:${crypto.createHash('sha256').update(name).digest('hex').slice(0, 40)}`;
+  }
+
+  /**
+   * Looks up the connection currently holding the migration lock
+   * @private
+   * @param {string} tableName - Name of the migrations table
+   * @returns {Promise<Object|null>} Holder connection info, or null if the lock is free
+   */
+  async getLockHolder(tableName) {
+    const [locks] = await this.connection.query(
+      'SELECT IS_USED_LOCK(?) AS holder',
+      [this.getLockName(tableName)]
+    );
+    const id = locks[0].holder;
+    if (id === null) {
+      return null;
+    }
+    const [rows] = await this.connection.query(
+      'SELECT ID AS id, USER AS user, HOST AS host, TIME AS time FROM information_schema.PROCESSLIST WHERE ID = ?',
+      [id]
+    );
+    return rows[0] || { id };
+  }
+
+  /**
+   * Formats lock holder info for error messages
+   * @private
+   * @param {Object|null} holder - Holder connection info
+   * @returns {string} Human-readable description of the holder
+   */
+  describeLockHolder(holder) {
+    if (!holder) {
+      return 'an unknown connection';
+    }
+    const parts = [`connection ${holder.id}`];
+    if (holder.user) {
+      parts.push(`user ${holder.user}`);
+    }
+    if (holder.host) {
+      parts.push(`host ${holder.host}`);
+    }
+    if (holder.time !== undefined) {
+      parts.push(`active for ${holder.time}s`);
+    }
+    return parts.join(', ');
   }
 
   /**
@@ -45,7 +127,8 @@ export class MysqlAdapter {
   }
 
   /**
-   * Creates the migrations tracking table if it doesn't exist
+   * Creates the migrations tracking table if it doesn't exist, and adds any
+   * columns introduced since it was created
    * @param {string} tableName - Name of the migrations table
    * @throws {Error} If table creation fails
    */
@@ -57,6 +140,28 @@ export class MysqlAdapter {
         executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
     `);
+
+    // MySQL has no ADD COLUMN IF NOT EXISTS, so check the catalog first
+    const existing = await this.getTrackingColumns(tableName);
+    for (const [column, type] of Object.entries(TRACKING_TABLE_COLUMNS)) {
+      if (!existing.includes(column)) {
+        await this.connection.execute(`ALTER TABLE ${tableName} ADD COLUMN ${column} ${type}`);
+      }
+    }
+  }
+
+  /**
+   * Checks whether the migrations tracking table exists
+   * @param {string} tableName - Name of the migrations table
+   * @returns {Promise<boolean>} True if the table exists
+   * @throws {Error} If query fails
+   */
+  async hasMigrationsTable(tableName) {
+    const [rows] = await this.connection.execute(
+      'SELECT 1 FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?',
+      [tableName]
+    );
+    return rows.length > 0;
   }
 
   /**
@@ -66,22 +171,74 @@ export class MysqlAdapter {
    * @throws {Error} If query fails
    */
   async getMigrations(tableName) {
+    const [rows] = await this.connection.execute(`SELECT name FROM ${tableName} ORDER BY executed_at ASC, id ASC`);
+    return rows.map(row => row.name);
+  }
+
+  /**
+   * Lists the columns of the tracking table, so reads work on tables
+   * created before columns were added to it
+   * @private
+   * @param {string} tableName - Name of the migrations table
+   * @returns {Promise<string[]>} Column names, lower-cased
+   */
+  async getTrackingColumns(tableName) {
     const [rows] = await this.connection.execute(
-      `SELECT name FROM ${tableName} ORDER BY executed_at ASC`
+      'SELECT column_name AS name FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = ?',
+      [tableName]
     );
-    return rows.map(row => row.name);
+    return rows.map(row => row.name.toLowerCase());
+  }
+
+  /**
+   * Retrieves the tracking rows of all executed migrations in chronological order.
+   * Columns missing from a table created by an older version read as null.
+   * @param {string} tableName - Name of the migrations table
+   * @returns {Promise<Array<{name: string, checksum: string|null, batch: number|null, executedAt: Date}>>} Tracking rows
+   * @throws {Error} If query fails
+   */
+  async getMigrationRecords(tableName) {
+    const existing = await this.getTrackingColumns(tableName);
+    const columns = Object.keys(TRACKING_TABLE_COLUMNS).map(column => (existing.includes(column) ? column : `NULL AS ${column}`));
+    // TIMESTAMP has one-second resolution, so break ties by insert order
+    const [rows] = await this.connection.execute(
+      `SELECT name, ${columns.join(', ')}, executed_at FROM ${tableName} ORDER BY executed_at ASC, id ASC`
+    );
+    return rows.map(row => ({
+      name: row.name,
+      checksum: row.checksum,
+      batch: row.batch,
+      executedAt: row.executed_at,
+    }));
   }
 
   /**
    * Records a successfully executed migration
    * @param {string} tableName - Name of the migrations table
    * @param {string} name - Migration filename
+   * @param {Object} [details] - Extra tracking data
+   * @param {string} [details.checksum] - Content hash of the migration file
+   * @param {number} [details.batch] - Number of the `up` run that applied the migration
    * @throws {Error} If insert fails
    */
-  async recordMigration(tableName, name) {
+  async recordMigration(tableName, name, { checksum = null, batch = null } = {}) {
     await this.connection.execute(
-      `INSERT INTO ${tableName} (name) VALUES (?)`,
-      [name]
+      `INSERT INTO ${tableName} (name, checksum, batch) VALUES (?, ?, ?)`,
+      [name, checksum, batch]
+    );
+  }
+
+  /**
+   * Stores the checksum of an already executed migration
+   * @param {string} tableName - Name of the migrations table
+   * @param {string} name - Migration filename
+   * @param {string} checksum - Content hash of the migration file
+   * @throws {Error} If update fails
+   */
+  async updateChecksum(tableName, name, checksum) {
+    await this.connection.execute(
+      `UPDATE ${tableName} SET checksum = ? WHERE name = ?`,
+      [checksum, name]
     );
   }
 
@@ -108,12 +265,330 @@ export class MysqlAdapter {
   }
 
   /**
-   * Closes the database connection
+   * Runs a parameterized query (used by data migrations)
+   * @param {string} sql - SQL statement with `?` placeholders
+   * @param {Array} [params=[]] - Values bound to the placeholders
+   * @returns {Promise<Object[]>} Result rows (empty for statements that return none)
+   * @throws {Error} If execution fails
+   */
+  async query(sql, params = []) {
+    const [rows] = await this.connection.execute(sql, params);
+    return Array.isArray(rows) ? rows : [];
+  }
+
+  /**
+   * Runs a callback inside a transaction on the adapter's connection.
+   * Note that MySQL commits implicitly on most DDL statements, so only the
+   * data changes in a migration (including the tracking-table write) are
+   * guaranteed to roll back.
+   * @param {Function} callback - Async function to run inside the transaction
+   * @returns {Promise<*>} Value returned by the callback
+   * @throws {Error} If the callback or the commit fails (after rolling back)
+   */
+  async transaction(callback) {
+    await this.connection.beginTransaction();
+    try {
+      const result = await callback();
+      await this.connection.commit();
+      return result;
+    } catch (err) {
+      try {
+        await this.connection.rollback();
+      } catch (rollbackErr) {
+        // Connection is likely broken; surface the original error
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Runs a callback with lock wait and execution timeouts set for the
+   * session, restoring the previous values afterwards. The lock timeout
+   * covers row locks (innodb_lock_wait_timeout) and the metadata locks DDL
+   * waits for (lock_wait_timeout); both count in whole seconds, so it is
+   * rounded up. max_execution_time only limits SELECT statements.
+   * @param {Object} timeouts - Timeouts in milliseconds; 0 disables one, undefined keeps the server setting
+   * @param {number} [timeouts.lockTimeout] - Longest wait for a lock
+   * @param {number} [timeouts.statementTimeout] - Longest run time of a SELECT
+   * @param {Function} callback - Async function to run
+   * @returns {Promise<*>} Value returned by the callback
+   * @throws {Error} If the callback fails, e.g. with a lock timeout
+   */
+  async withTimeouts(timeouts, callback) {
+    const settings = {};
+    if (timeouts.lockTimeout !== undefined) {
+      // Neither setting accepts 0, so "no limit" becomes the largest value both allow
+      const seconds = timeouts.lockTimeout === 0
+        ? MAX_LOCK_WAIT_SECONDS
+        : Math.min(MAX_LOCK_WAIT_SECONDS, Math.ceil(timeouts.lockTimeout / 1000));
+      settings.innodb_lock_wait_timeout = seconds;
+      settings.lock_wait_timeout = seconds;
+    }
+    if (timeouts.statementTimeout !== undefined) {
+      settings.max_execution_time = timeouts.statementTimeout;
+    }
+    const names = Object.keys(settings);
+    if (names.length === 0) {
+      return callback();
+    }
+
+    const [[previous]] = await this.connection.query(`SELECT ${names.map(name => `@@SESSION.${name} AS ${name}`).join(', ')}`);
+    const assign = values => `SET SESSION ${names.map(name => `${name} = ${Number(values[name])}`).join(', ')}`;
+    await this.connection.query(assign(settings));
+    try {
+      return await callback();
+    } finally {
+      try {
+        await this.connection.query(assign(previous));
+      } catch (err) {
+        // Connection is likely broken; surface the original error
+      }
+    }
+  }
+
+  /**
+   * Checks whether a migration step that failed with this error can be run
+   * again. Never on MySQL: DDL commits implicitly, so a step that hit the
+   * lock wait timeout may have left some of its statements committed, and
+   * rollback cannot tell which.
+   * @param {Error} err - Error thrown by a query
+   * @returns {boolean} Always false
+   */
+  canRetry(err) {
+    return false;
+  }
+
+  /**
+   * Lists the tables in the current database, leaving out checkpoint's own
+   * tracking and seeds tables
+   * @param {string} tableName - Name of the migrations table
+   * @returns {Promise<string[]>} Table names, sorted
+   * @throws {Error} If query fails
+   */
+  async listTables(tableName) {
+    const [rows] = await this.connection.query(
+      `SELECT table_name AS name FROM information_schema.tables
+       WHERE table_schema = DATABASE() AND table_type = 'BASE TABLE' AND table_name NOT IN (?, ?)`,
+      [tableName, `${tableName}_seeds`]
+    );
+    return rows.map(row => row.name).sort();
+  }
+
+  /**
+   * Builds DDL that recreates the current database from the data dictionary
+   * (SHOW CREATE TABLE). Foreign keys are split out and added after every
+   * table exists, and AUTO_INCREMENT counters are dropped so dumps of
+   * identical schemas are identical.
+   * @param {string} tableName - Name of the migrations table (left out)
+   * @returns {Promise<string[]>} SQL statements without trailing semicolons
+   * @throws {Error} If a query fails
+   */
+  async dumpSchema(tableName) {
+    const statements = [];
+    const foreignKeys = [];
+
+    for (const name of await this.listTables(tableName)) {
+      const [rows] = await this.connection.query(`SHOW CREATE TABLE ${quoteIdentifier(name)}`);
+      const lines = rows[0]['Create Table'].split('\n');
+      const body = [];
+      for (const line of lines.slice(1, -1)) {
+        const definition = line.trim().replace(/,$/, '');
+        if (/^CONSTRAINT .* FOREIGN KEY /.test(definition)) {
+          foreignKeys.push(`ALTER TABLE ${quoteIdentifier(name)} ADD ${definition}`);
+        } else {
+          body.push(definition);
+        }
+      }
+      const options = lines[lines.length - 1].replace(/ AUTO_INCREMENT=\d+/, '');
+      statements.push(`${lines[0]}\n  ${body.join(',\n  ')}\n${options}`);
+    }
+
+    return [...statements, ...foreignKeys];
+  }
+
+  /**
+   * Introspects the current database into a structure drift detection can
+   * compare: per table, the definition of every column, index and foreign
+   * key or check constraint
+   * @param {string} tableName - Name of the migrations table (left out)
+   * @returns {Promise<Object<string, {columns: Object<string, string>, indexes: Object<string, string>, constraints: Object<string, string>}>>} Schema by table name
+   * @throws {Error} If a query fails
+   */
+  async getSchema(tableName) {
+    const schema = {};
+    for (const name of await this.listTables(tableName)) {
+      schema[name] = { columns: {}, indexes: {}, constraints: {} };
+    }
+
+    const [columns] = await this.connection.query(
+      `SELECT table_name AS table_name, column_name AS name, column_type AS type, is_nullable AS nullable,
+              column_default AS default_value, extra AS extra
+       FROM information_schema.columns
+       WHERE table_schema = DATABASE()
+       ORDER BY table_name, ordinal_position`
+    );
+    for (const column of columns) {
+      if (!schema[column.table_name]) {
+        continue;
+      }
+      let definition = column.type;
+      if (column.nullable === 'NO') {
+        definition += ' NOT NULL';
+      }
+      if (column.default_value !== null) {
+        definition += ` DEFAULT ${column.default_value}`;
+      }
+      const extra = (column.extra || '').replace('DEFAULT_GENERATED', '').trim();
+      if (extra) {
+        definition += ` ${extra}`;
+      }
+      schema[column.table_name].columns[column.name] = definition;
+    }
+
+    const [indexColumns] = await this.connection.query(
+      `SELECT table_name AS table_name, index_name AS name, non_unique AS non_unique,
+              COALESCE(column_name, expression) AS part
+       FROM information_schema.statistics
+       WHERE table_schema = DATABASE()
+       ORDER BY table_name, index_name, seq_in_index`
+    );
+    const indexes = {};
+    for (const row of indexColumns) {
+      if (!schema[row.table_name]) {
+        continue;
+      }
+      const key = `${row.table_name}.${row.name}`;
+      indexes[key] = indexes[key] || { table: row.table_name, name: row.name, unique: !Number(row.non_unique), parts: [] };
+      indexes[key].parts.push(row.part);
+    }
+    for (const index of Object.values(indexes)) {
+      const kind = index.name === 'PRIMARY' ? 'PRIMARY KEY' : index.unique ? 'UNIQUE INDEX' : 'INDEX';
+      schema[index.table].indexes[index.name] = `${kind} (${index.parts.join(', ')})`;
+    }
+
+    const [foreignKeys] = await this.connection.query(
+      `SELECT k.table_name AS table_name, k.constraint_name AS name, k.column_name AS column_name,
+              k.referenced_table_name AS ref_table, k.referenced_column_name AS ref_column,
+              r.delete_rule AS on_delete, r.update_rule AS on_update
+       FROM information_schema.key_column_usage k
+       JOIN information_schema.referential_constraints r
+         ON r.constraint_schema = k.constraint_schema AND r.constraint_name = k.constraint_name
+       WHERE k.table_schema = DATABASE() AND k.referenced_table_name IS NOT NULL
+       ORDER BY k.table_name, k.constraint_name, k.ordinal_position`
+    );
+    const constraints = {};
+    for (const row of foreignKeys) {
+      if (!schema[row.table_name]) {
+        continue;
+      }
+      const key = `${row.table_name}.${row.name}`;
+      constraints[key] = constraints[key] || { ...row, columns: [], refColumns: [] };
+      constraints[key].columns.push(row.column_name);
+      constraints[key].refColumns.push(row.ref_column);
+    }
+    for (const fk of Object.values(constraints)) {
+      schema[fk.table_name].constraints[fk.name] =
+        `FOREIGN KEY (${fk.columns.join(', ')}) REFERENCES ${fk.ref_table} (${fk.refColumns.join(', ')}) ` +
+        `ON DELETE ${fk.on_delete} ON UPDATE ${fk.on_update}`;
+    }
+
+    const [checks] = await this.connection.query(
+      `SELECT t.table_name AS table_name, c.constraint_name AS name, c.check_clause AS clause
+       FROM information_schema.check_constraints c
+       JOIN information_schema.table_constraints t
+         ON t.constraint_schema = c.constraint_schema AND t.constraint_name = c.constraint_name
+       WHERE c.constraint_schema = DATABASE() AND t.constraint_type = 'CHECK'`
+    );
+    for (const check of checks) {
+      if (schema[check.table_name]) {
+        schema[check.table_name].constraints[check.name] = `CHECK (${check.clause})`;
+      }
+    }
+
+    return schema;
+  }
+
+  /**
+   * Creates an empty scratch database and a second adapter connected to it.
+   * Drift detection replays migrations there to learn the schema they
+   * produce. Requires the CREATE and DROP privileges.
+   * @returns {Promise<{adapter: MysqlAdapter, drop: Function}>} Connected shadow adapter, and a function that removes the database
+   * @throws {Error} If the database cannot be created
+   */
+  async createShadow() {
+    const database = `checkpoint_shadow_${process.pid}_${Date.now()}`;
+    await this.connection.query(`CREATE DATABASE ${quoteIdentifier(database)}`);
+
+    // Copy the driver config as-is so extra options such as ssl carry over
+    const shadow = new MysqlAdapter(this.config);
+    shadow.config = { ...this.config, database };
+    await shadow.connect();
+
+    return {
+      adapter: shadow,
+      drop: async () => {
+        await shadow.close();
+        await this.connection.query(`DROP DATABASE ${quoteIdentifier(database)}`);
+      },
+    };
+  }
+
+  /**
+   * Acquires the GET_LOCK user-level lock guarding the migrations table.
+   * The lock belongs to the adapter's connection until releaseLock() is called.
+   * @param {string} tableName - Name of the migrations table
+   * @param {number} timeout - Maximum time to wait for the lock, in milliseconds
+   * @throws {Error} If the lock cannot be acquired within the timeout
+   */
+  async acquireLock(tableName, timeout) {
+    const [rows] = await this.connection.query(
+      'SELECT GET_LOCK(?, ?) AS acquired',
+      [this.getLockName(tableName), Math.ceil(timeout / 1000)]
+    );
+    if (rows[0].acquired === 1) {
+      return;
+    }
+
+    const holder = await this.getLockHolder(tableName);
+    throw new Error(
+      `Could not acquire migration lock within ${timeout}ms: held by ${this.describeLockHolder(holder)}. ` +
+      `If that process is gone, run 'checkpoint unlock'.`
+    );
+  }
+
+  /**
+   * Releases the lock taken by acquireLock()
+   * @param {string} tableName - Name of the migrations table
+   * @throws {Error} If unlocking fails
+   */
+  async releaseLock(tableName) {
+    await this.connection.query('SELECT RELEASE_LOCK(?)', [this.getLockName(tableName)]);
+  }
+
+  /**
+   * Clears a stale migration lock by killing the connection holding it
+   * @param {string} tableName - Name of the migrations table
+   * @returns {Promise<string|null>} Description of the killed holder, or null if the lock was free
+   * @throws {Error} If the holder cannot be killed
+   */
+  async forceUnlock(tableName) {
+    const holder = await this.getLockHolder(tableName);
+    if (!holder) {
+      return null;
+    }
+    await this.connection.query(`KILL ${Number(holder.id)}`);
+    return this.describeLockHolder(holder);
+  }
+
+  /**
+   * Closes the database connection. A later connect() opens a new one.
    * @throws {Error} If closing fails
    */
   async close() {
     if (this.connection) {
-      await this.connection.end();
+      const connection = this.connection;
+      this.connection = null;
+      await connection.end();
     }
   }
 }
\ No newline at end of file
@@ -4,6 +4,70 @@
  */
 
 import pg from 'pg';
+import crypto from 'crypto';
+import { TRACKING_TABLE_COLUMNS } from '../utils/constants.js';
+import { toNumberedPlaceholders } from '../utils/placeholders.js';
+import { SchemaBuilder } from './schema-builder.js';
+
+const LOCK_POLL_INTERVAL = 250;
+
+// Integer types whose sequence-backed columns are dumped as serial types
+const SERIAL_TYPES = {
+  smallint: 'smallserial',
+  integer: 'serial',
+  bigint: 'bigserial',
+};
+
+/**
+ * Orders catalog rows by their name column
+ * @private
+ * @param {{name: string}} a - First row
+ * @param {{name: string}} b - Second row
+ * @returns {number} Sort order
+ */
+function byName(a, b) {
+  return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+}
+
+// SQLSTATE raised when lock_timeout expires (lock_not_available)
+const LOCK_NOT_AVAILABLE = '55P03';
+
+// A checked-out client emits 'error' when its session is terminated (e.g. by
+// 'checkpoint unlock'); the error resurfaces on the next query through it
+const ignoreClientError = () => {};
+
+/**
+ * Quotes an identifier such as a schema name, keeping it exactly as written
+ * @private
+ * @param {string} name - Identifier
+ * @returns {string} Double-quoted identifier
+ */
+function quoteIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Builds the startup option that sets search_path on a new connection.
+ * The server splits startup options on spaces, so spaces are escaped.
+ * @private
+ * @param {string[]} schemas - Schemas in search order
+ * @returns {string} Option for the driver's `options` setting
+ */
+function searchPathOption(schemas) {
+  return `-c search_path=${schemas.map(quoteIdentifier).join(',').replace(/[\\ ]/g, '\\$&')}`;
+}
+
+/**
+ * Splits a tracking table name into its optional schema and its table name.
+ * Unquoted identifiers are folded to lower case, as PostgreSQL does.
+ * @private
+ * @param {string} tableName - Name of the migrations table, optionally schema-qualified
+ * @returns {{schema: string|null, name: string}} Parts of the name
+ */
+function splitTableName(tableName) {
+  const parts = tableName.toLowerCase().split('.');
+  return parts.length === 2 ? { schema: parts[0], name: parts[1] } : { schema: null, name: parts[0] };
+}
 
 /**
  * PostgreSQL adapter class implementing the database adapter interface
@@ -17,23 +81,111 @@ export class PostgresAdapter {
    * @param {string} config.user - Database user
    * @param {string} config.password - Database password
    * @param {string} config.database - Database name
+   * @param {Object} [config.options] - Extra driver options, such as `ssl`
+   * @param {string} [config.schema] - Schema that migrations and the tracking table use; created if missing
+   * @param {string|string[]} [config.searchPath] - Schemas searched after `schema` (an array, or a comma-separated string)
    */
   constructor(config) {
-    this.pool = new pg.Pool({
+    const searchPath = typeof config.searchPath === 'string'
+      ? config.searchPath.split(',').map(schema => schema.trim())
+      : config.searchPath || [];
+    this.connectionConfig = config;
+    this.searchPath = [...new Set([config.schema, ...searchPath].filter(Boolean))];
+    this.targetSchema = this.searchPath[0] || null;
+    this.config = {
       host: config.host,
       port: config.port,
       user: config.user,
       password: config.password,
       database: config.database,
-    });
+      application_name: 'checkpoint',
+      ...config.options,
+    };
+    // Set at connection startup, so it applies to every pooled connection
+    if (this.searchPath.length > 0) {
+      this.config.options = [this.config.options, searchPathOption(this.searchPath)].filter(Boolean).join(' ');
+    }
+    this.pool = null;
+    this.client = null;
+    this.lockClient = null;
+    this.schema = new SchemaBuilder(this, 'postgres');
+  }
+
+  /**
+   * Derives the advisory lock key for a migrations table. Tracking tables in
+   * different schemas get different keys, so their runs do not wait on each other.
+   * @private
+   * @param {string} tableName - Name of the migrations table
+   * @returns {bigint} Signed 64-bit advisory lock key
+   */
+  getLockKey(tableName) {
+    const qualified = this.targetSchema && !tableName.includes('.') ? `${this.targetSchema}.${tableName}` : tableName;
+    const digest = crypto.createHash('sha256').update(`checkpoint:${qualified}`).digest();
+    return digest.readBigInt64BE(0);
   }
 
   /**
-   * Tests the database connection
+   * Looks up the session currently holding the advisory lock
+   * @private
+   * @param {string} tableName - Name of the migrations table
+   * @returns {Promise<Object|null>} Holder session info, or null if the lock is free
+   */
+  async getLockHolder(tableName) {
+    const key = BigInt.asUintN(64, this.getLockKey(tableName));
+    const result = await this.pool.query(
+      `SELECT a.pid, a.usename, a.application_name, a.client_addr, a.backend_start
+       FROM pg_locks l
+       JOIN pg_stat_activity a ON a.pid = l.pid
+       WHERE l.locktype = 'advisory' AND l.granted
+         AND l.database = (SELECT oid FROM pg_database WHERE datname = current_database())
+         AND l.classid = $1 AND l.objid = $2 AND l.objsubid = 1`,
+      [(key >> 32n).toString(), (key & 0xffffffffn).toString()]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Formats lock holder info for error messages
+   * @private
+   * @param {Object|null} holder - Holder session info
+   * @returns {string} Human-readable description of the holder
+   */
+  describeLockHolder(holder) {
+    if (!holder) {
+      return 'an unknown session';
+    }
+    const parts = [`pid ${holder.pid}`, `user ${holder.usename}`];
+    if (holder.application_name) {
+      parts.push(`application "${holder.application_name}"`);
+    }
+    if (holder.client_addr) {
+      parts.push(`client ${holder.client_addr}`);
+    }
+    if (holder.backend_start) {
+      parts.push(`connected since ${new Date(holder.backend_start).toISOString()}`);
+    }
+    return parts.join(', ');
+  }
+
+  /**
+   * Returns the target for queries: the transaction client while a
+   * transaction is open, the pool otherwise
+   * @private
+   * @returns {pg.Pool|pg.PoolClient} Queryable client or pool
+   */
+  getQueryable() {
+    return this.client || this.pool;
+  }
+
+  /**
+   * Creates the connection pool (again, after close()) and tests the connection
    * @returns {Promise<boolean>} True if connection successful
    * @throws {Error} If connection fails
    */
   async connect() {
+    if (!this.pool) {
+      this.pool = new pg.Pool(this.config);
+    }
     try {
       await this.pool.query('SELECT NOW()');
       return true;
@@ -43,18 +195,57 @@ export class PostgresAdapter {
   }
 
   /**
-   * Creates the migrations tracking table if it doesn't exist
-   * @param {string} tableName - Name of the migrations table
+   * Creates the migrations tracking table if it doesn't exist, and adds any
+   * columns introduced since it was created. The configured schema, and the
+   * one the table name is qualified with, are created first if missing.
+   * @param {string} tableName - Name of the migrations table, optionally schema-qualified
    * @throws {Error} If table creation fails
    */
   async createMigrationsTable(tableName) {
-    await this.pool.query(`
+    const { schema } = splitTableName(tableName);
+    for (const name of new Set([this.targetSchema, schema].filter(Boolean))) {
+      await this.ensureSchema(name);
+    }
+    await this.getQueryable().query(`
       CREATE TABLE IF NOT EXISTS ${tableName} (
         id SERIAL PRIMARY KEY,
         name VARCHAR(255) UNIQUE NOT NULL,
         executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
     `);
+    for (const [column, type] of Object.entries(TRACKING_TABLE_COLUMNS)) {
+      await this.getQueryable().query(
+        `ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS ${column} ${type}`
+      );
+    }
+  }
+
+  /**
+   * Creates a schema unless it exists. Existence is checked first because
+   * CREATE SCHEMA IF NOT EXISTS still needs the CREATE privilege.
+   * @private
+   * @param {string} name - Schema name, as stored in the catalog
+   * @throws {Error} If the schema is missing and cannot be created
+   */
+  async ensureSchema(name) {
+    const result = await this.getQueryable().query('SELECT 1 FROM pg_namespace WHERE nspname = $1', [name]);
+    if (result.rows.length === 0) {
+      await this.getQueryable().query(`CREATE SCHEMA IF NOT EXISTS ${quoteIdentifier(name)}`);
+    }
+  }
+
+  /**
+   * Checks whether the migrations tracking table exists
+   * @param {string} tableName - Name of the migrations table
+   * @returns {Promise<boolean>} True if the table exists
+   * @throws {Error} If query fails
+   */
+  async hasMigrationsTable(tableName) {
+    const result = await this.getQueryable().query(
+      'SELECT to_regclass($1) IS NOT NULL AS exists',
+      [tableName]
+    );
+    return result.rows[0].exists;
   }
 
   /**
@@ -64,22 +255,73 @@ export class PostgresAdapter {
    * @throws {Error} If query fails
    */
   async getMigrations(tableName) {
-    const result = await this.pool.query(
-      `SELECT name FROM ${tableName} ORDER BY executed_at ASC`
+    const result = await this.getQueryable().query(`SELECT name FROM ${tableName} ORDER BY executed_at ASC, id ASC`);
+    return result.rows.map(row => row.name);
+  }
+
+  /**
+   * Lists the columns of the tracking table, so reads work on tables
+   * created before columns were added to it
+   * @private
+   * @param {string} tableName - Name of the migrations table, optionally schema-qualified
+   * @returns {Promise<string[]>} Column names
+   */
+  async getTrackingColumns(tableName) {
+    const result = await this.getQueryable().query(
+      'SELECT attname AS name FROM pg_attribute WHERE attrelid = to_regclass($1) AND attnum > 0 AND NOT attisdropped',
+      [tableName]
     );
     return result.rows.map(row => row.name);
   }
 
+  /**
+   * Retrieves the tracking rows of all executed migrations in chronological order.
+   * Columns missing from a table created by an older version read as null.
+   * @param {string} tableName - Name of the migrations table
+   * @returns {Promise<Array<{name: string, checksum: string|null, batch: number|null, executedAt: Date}>>} Tracking rows
+   * @throws {Error} If query fails
+   */
+  async getMigrationRecords(tableName) {
+    const existing = await this.getTrackingColumns(tableName);
+    const columns = Object.keys(TRACKING_TABLE_COLUMNS).map(column => (existing.includes(column) ? column : `NULL AS ${column}`));
+    const result = await this.getQueryable().query(
+      `SELECT name, ${columns.join(', ')}, executed_at FROM ${tableName} ORDER BY executed_at ASC, id ASC`
+    );
+    return result.rows.map(row => ({
+      name: row.name,
+      checksum: row.checksum,
+      batch: row.batch,
+      executedAt: row.executed_at,
+    }));
+  }
+
   /**
    * Records a successfully executed migration
    * @param {string} tableName - Name of the migrations table
    * @param {string} name - Migration filename
+   * @param {Object} [details] - Extra tracking data
+   * @param {string} [details.checksum] - Content hash of the migration file
+   * @param {number} [details.batch] - Number of the `up` run that applied the migration
    * @throws {Error} If insert fails
    */
-  async recordMigration(tableName, name) {
-    await this.pool.query(
-      `INSERT INTO ${tableName} (name) VALUES ($1)`,
-      [name]
+  async recordMigration(tableName, name, { checksum = null, batch = null } = {}) {
+    await this.getQueryable().query(
+      `INSERT INTO ${tableName} (name, checksum, batch) VALUES ($1, $2, $3)`,
+      [name, checksum, batch]
+    );
+  }
+
+  /**
+   * Stores the checksum of an already executed migration
+   * @param {string} tableName - Name of the migrations table
+   * @param {string} name - Migration filename
+   * @param {string} checksum - Content hash of the migration file
+   * @throws {Error} If update fails
+   */
+  async updateChecksum(tableName, name, checksum) {
+    await this.getQueryable().query(
+      `UPDATE ${tableName} SET checksum = $1 WHERE name = $2`,
+      [checksum, name]
     );
   }
 
@@ -90,7 +332,7 @@ export class PostgresAdapter {
    * @throws {Error} If delete fails
    */
   async removeMigration(tableName, name) {
-    await this.pool.query(
+    await this.getQueryable().query(
       `DELETE FROM ${tableName} WHERE name = $1`,
       [name]
     );
@@ -102,16 +344,401 @@ export class PostgresAdapter {
    * @throws {Error} If execution fails
    */
   async execute(sql) {
-    await this.pool.query(sql);
+    await this.getQueryable().query(sql);
+  }
+
+  /**
+   * Runs a parameterized query (used by data migrations). Placeholders are
+   * written as `?` and translated to `$1, $2, ...` for PostgreSQL; write `??`
+   * for a literal `?`, such as the JSONB `?`, `?|` and `?&` operators.
+   * @param {string} sql - SQL statement with `?` placeholders
+   * @param {Array} [params=[]] - Values bound to the placeholders
+   * @returns {Promise<Object[]>} Result rows (empty for statements that return none)
+   * @throws {Error} If the placeholder and parameter counts differ, or execution fails
+   */
+  async query(sql, params = []) {
+    const { sql: text, count } = toNumberedPlaceholders(sql);
+    if (count !== params.length) {
+      throw new Error(`Query expects ${count} parameter(s) but ${params.length} were given`);
+    }
+    const result = await this.getQueryable().query(text, params);
+    return result.rows || [];
+  }
+
+  /**
+   * Runs a callback inside a transaction on a dedicated pool client.
+   * Every adapter call made while the callback runs goes through that client,
+   * so the migration and its tracking-table write commit or roll back together.
+   * @param {Function} callback - Async function to run inside the transaction
+   * @returns {Promise<*>} Value returned by the callback
+   * @throws {Error} If the callback or the commit fails (after rolling back)
+   */
+  async transaction(callback) {
+    const client = await this.pool.connect();
+    this.client = client;
+    try {
+      await client.query('BEGIN');
+      const result = await callback();
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        // Connection is likely broken; surface the original error
+      }
+      throw err;
+    } finally {
+      this.client = null;
+      client.release();
+    }
   }
 
   /**
-   * Closes the database connection pool
+   * Runs a callback with lock_timeout and statement_timeout set. Inside a
+   * transaction they are set with SET LOCAL and end with it; otherwise a
+   * connection is held for the callback and the settings are reset after it.
+   * @param {Object} timeouts - Timeouts in milliseconds; 0 disables one, undefined keeps the server setting
+   * @param {number} [timeouts.lockTimeout] - Longest wait for a lock
+   * @param {number} [timeouts.statementTimeout] - Longest run time of a statement
+   * @param {Function} callback - Async function to run
+   * @returns {Promise<*>} Value returned by the callback
+   * @throws {Error} If the callback fails, e.g. with a lock timeout
+   */
+  async withTimeouts(timeouts, callback) {
+    const settings = [['lock_timeout', timeouts.lockTimeout], ['statement_timeout', timeouts.statementTimeout]]
+      .filter(([, value]) => value !== undefined);
+    if (settings.length === 0) {
+      return callback();
+    }
+
+    if (this.client) {
+      for (const [name, value] of settings) {
+        await this.client.query(`SET LOCAL ${name} = ${Number(value)}`);
+      }
+      return callback();
+    }
+
+    const client = await this.pool.connect();
+    this.client = client;
+    try {
+      for (const [name, value] of settings) {
+        await client.query(`SET ${name} = ${Number(value)}`);
+      }
+      return await callback();
+    } finally {
+      try {
+        for (const [name] of settings) {
+          await client.query(`RESET ${name}`);
+        }
+      } catch (err) {
+        // Connection is likely broken; surface the original error
+      }
+      this.client = null;
+      client.release();
+    }
+  }
+
+  /**
+   * Checks whether a migration step that failed with this error can be run
+   * again: it hit lock_timeout, and its transaction rolled back everything
+   * it did, DDL included
+   * @param {Error} err - Error thrown by a query
+   * @returns {boolean} True for a lock timeout
+   */
+  canRetry(err) {
+    return err.code === LOCK_NOT_AVAILABLE;
+  }
+
+  /**
+   * Lists the tables in the current schema, leaving out checkpoint's own
+   * tracking and seeds tables
+   * @param {string} tableName - Name of the migrations table
+   * @returns {Promise<string[]>} Table names, sorted
+   * @throws {Error} If query fails
+   */
+  async listTables(tableName) {
+    const tables = await this.getTables(tableName);
+    return tables.map(table => table.name);
+  }
+
+  /**
+   * Looks up the tables in the current schema with their catalog OIDs
+   * @private
+   * @param {string} tableName - Name of the migrations table (left out, with its seeds table)
+   * @returns {Promise<Array<{oid: string, name: string, quoted: string}>>} Tables, sorted by name
+   */
+  async getTables(tableName) {
+    const { schema, name } = splitTableName(tableName);
+    const result = await this.getQueryable().query(
+      `SELECT c.oid, c.relname AS name, quote_ident(c.relname) AS quoted
+       FROM pg_class c
+       WHERE c.relnamespace = (SELECT oid FROM pg_namespace WHERE nspname = current_schema()) AND c.relkind IN ('r', 'p')
+         AND NOT (c.relname IN ($1, $2) AND ($3::name IS NULL OR $3::name = current_schema()))`,
+      [name, `${name}_seeds`, schema]
+    );
+    return result.rows.sort(byName);
+  }
+
+  /**
+   * Builds DDL that recreates the current schema from the system catalog:
+   * enum types, tables with their columns and constraints, indexes, then
+   * foreign keys (last, so tables can be created in any order). Output is
+   * sorted by name so dumps of identical schemas are identical.
+   * @param {string} tableName - Name of the migrations table (left out)
+   * @returns {Promise<string[]>} SQL statements without trailing semicolons
+   * @throws {Error} If a catalog query fails
+   */
+  async dumpSchema(tableName) {
+    const statements = [];
+    const foreignKeys = [];
+    const indexes = [];
+
+    const enums = await this.getQueryable().query(
+      `SELECT format_type(t.oid, NULL) AS name,
+              array_agg(quote_literal(e.enumlabel) ORDER BY e.enumsortorder) AS labels
+       FROM pg_type t
+       JOIN pg_enum e ON e.enumtypid = t.oid
+       WHERE t.typnamespace = (SELECT oid FROM pg_namespace WHERE nspname = current_schema())
+       GROUP BY t.oid`
+    );
+    for (const type of enums.rows.sort(byName)) {
+      statements.push(`CREATE TYPE ${type.name} AS ENUM (${type.labels.join(', ')})`);
+    }
+
+    for (const table of await this.getTables(tableName)) {
+      const { columns, constraints, indexes: tableIndexes } = await this.describeTable(table.oid);
+
+      const lines = columns.map(column => `${column.quoted} ${column.definition}`);
+      const inline = constraints
+        .filter(constraint => constraint.type !== 'f')
+        .sort((a, b) => (a.type === 'p' ? -1 : b.type === 'p' ? 1 : 0));
+      for (const constraint of inline) {
+        lines.push(`CONSTRAINT ${constraint.quoted} ${constraint.definition}`);
+      }
+      statements.push(`CREATE TABLE ${table.quoted} (\n  ${lines.join(',\n  ')}\n)`);
+
+      for (const constraint of constraints.filter(c => c.type === 'f')) {
+        foreignKeys.push(`ALTER TABLE ${table.quoted} ADD CONSTRAINT ${constraint.quoted} ${constraint.definition}`);
+      }
+      indexes.push(...tableIndexes.map(index => index.definition));
+    }
+
+    return [...statements, ...indexes, ...foreignKeys];
+  }
+
+  /**
+   * Introspects the current schema into a structure drift detection can
+   * compare: per table, the definition of every column, standalone index
+   * and constraint
+   * @param {string} tableName - Name of the migrations table (left out)
+   * @returns {Promise<Object<string, {columns: Object<string, string>, indexes: Object<string, string>, constraints: Object<string, string>}>>} Schema by table name
+   * @throws {Error} If a catalog query fails
+   */
+  async getSchema(tableName) {
+    const schema = {};
+    for (const table of await this.getTables(tableName)) {
+      const { columns, constraints, indexes } = await this.describeTable(table.oid);
+      schema[table.name] = {
+        columns: Object.fromEntries(columns.map(column => [column.name, column.definition])),
+        indexes: Object.fromEntries(indexes.map(index => [index.name, index.definition])),
+        constraints: Object.fromEntries(constraints.map(constraint => [constraint.name, constraint.definition])),
+      };
+    }
+    return schema;
+  }
+
+  /**
+   * Reads a table's columns, constraints and standalone indexes (those not
+   * backing a constraint) from the catalog. Index definitions leave out the
+   * schema name, so identical tables in different schemas compare equal.
+   * @private
+   * @param {string} oid - Catalog OID of the table
+   * @returns {Promise<{columns: Object[], constraints: Object[], indexes: Object[]}>} Catalog rows; constraints and indexes sorted by name
+   */
+  async describeTable(oid) {
+    const db = this.getQueryable();
+    const columns = await db.query(
+      `SELECT a.attname AS name, quote_ident(a.attname) AS quoted, format_type(a.atttypid, a.atttypmod) AS type,
+              a.attnotnull AS not_null, a.attidentity AS identity, a.attgenerated AS generated,
+              pg_get_expr(d.adbin, d.adrelid) AS default_value
+       FROM pg_attribute a
+       LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+       WHERE a.attrelid = $1 AND a.attnum > 0 AND NOT a.attisdropped
+       ORDER BY a.attnum`,
+      [oid]
+    );
+    const constraints = await db.query(
+      `SELECT conname AS name, quote_ident(conname) AS quoted, contype AS type,
+              pg_get_constraintdef(oid) AS definition
+       FROM pg_constraint
+       WHERE conrelid = $1 AND contype IN ('p', 'u', 'c', 'x', 'f')`,
+      [oid]
+    );
+    const indexes = await db.query(
+      `SELECT c.relname AS name,
+              regexp_replace(pg_get_indexdef(i.indexrelid), ' ON (ONLY )?' || quote_ident(current_schema()) || '\\.', ' ON \\1') AS definition
+       FROM pg_index i
+       JOIN pg_class c ON c.oid = i.indexrelid
+       WHERE i.indrelid = $1
+         AND NOT EXISTS (
+           SELECT 1 FROM pg_constraint k
+           WHERE k.conindid = i.indexrelid AND k.conrelid = i.indrelid AND k.contype IN ('p', 'u', 'x')
+         )`,
+      [oid]
+    );
+
+    return {
+      columns: columns.rows.map(column => ({ ...column, definition: this.describeColumn(column) })),
+      constraints: constraints.rows.sort(byName),
+      indexes: indexes.rows.sort(byName),
+    };
+  }
+
+  /**
+   * Renders a column's type and modifiers from its catalog row. Integer
+   * columns fed by a sequence are written back as serial types.
+   * @private
+   * @param {Object} column - Row from pg_attribute/pg_attrdef
+   * @returns {string} Column definition without the column name
+   */
+  describeColumn(column) {
+    let type = column.type;
+    let defaultValue = column.default_value;
+    if (SERIAL_TYPES[type] && /^nextval\('[^']+'::regclass\)$/.test(defaultValue || '')) {
+      type = SERIAL_TYPES[type];
+      defaultValue = null;
+    }
+
+    let definition = type;
+    if (column.identity) {
+      definition += column.identity === 'a' ? ' GENERATED ALWAYS AS IDENTITY' : ' GENERATED BY DEFAULT AS IDENTITY';
+    }
+    if (column.not_null) {
+      definition += ' NOT NULL';
+    }
+    if (column.generated) {
+      definition += ` GENERATED ALWAYS AS (${defaultValue}) ${column.generated === 's' ? 'STORED' : 'VIRTUAL'}`;
+    } else if (defaultValue !== null) {
+      definition += ` DEFAULT ${defaultValue}`;
+    }
+    return definition;
+  }
+
+  /**
+   * Creates an empty scratch schema and a second adapter whose connections
+   * use it as their search_path. Drift detection replays migrations there to
+   * learn the schema they produce.
+   * @returns {Promise<{adapter: PostgresAdapter, drop: Function}>} Connected shadow adapter, and a function that removes the schema
+   * @throws {Error} If the schema cannot be created
+   */
+  async createShadow() {
+    const schema = `checkpoint_shadow_${process.pid}_${Date.now()}`;
+    await this.pool.query(`CREATE SCHEMA ${schema}`);
+
+    // The shadow schema takes the place of the target schema in the search path
+    const shadow = new PostgresAdapter({
+      ...this.connectionConfig,
+      schema,
+      searchPath: this.searchPath.filter(name => name !== this.targetSchema),
+    });
+    await shadow.connect();
+
+    return {
+      adapter: shadow,
+      drop: async () => {
+        await shadow.close();
+        await this.pool.query(`DROP SCHEMA ${schema} CASCADE`);
+      },
+    };
+  }
+
+  /**
+   * Acquires the session-level advisory lock guarding the migrations table.
+   * The lock is held on a dedicated pool client until releaseLock() is called.
+   * @param {string} tableName - Name of the migrations table
+   * @param {number} timeout - Maximum time to wait for the lock, in milliseconds
+   * @throws {Error} If the lock cannot be acquired within the timeout
+   */
+  async acquireLock(tableName, timeout) {
+    const key = this.getLockKey(tableName).toString();
+    const client = await this.pool.connect();
+    const deadline = Date.now() + timeout;
+
+    try {
+      while (true) {
+        const result = await client.query('SELECT pg_try_advisory_lock($1) AS acquired', [key]);
+        if (result.rows[0].acquired) {
+          client.on('error', ignoreClientError);
+          this.lockClient = client;
+          return;
+        }
+        if (Date.now() >= deadline) {
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_POLL_INTERVAL));
+      }
+    } catch (err) {
+      client.release();
+      throw err;
+    }
+
+    client.release();
+    const holder = await this.getLockHolder(tableName);
+    throw new Error(
+      `Could not acquire migration lock within ${timeout}ms: held by ${this.describeLockHolder(holder)}. ` +
+      `If that process is gone, run 'checkpoint unlock'.`
+    );
+  }
+
+  /**
+   * Releases the advisory lock taken by acquireLock()
+   * @param {string} tableName - Name of the migrations table
+   * @throws {Error} If unlocking fails
+   */
+  async releaseLock(tableName) {
+    if (!this.lockClient) {
+      return;
+    }
+    const client = this.lockClient;
+    this.lockClient = null;
+    try {
+      await client.query('SELECT pg_advisory_unlock($1)', [this.getLockKey(tableName).toString()]);
+    } finally {
+      client.off('error', ignoreClientError);
+      client.release();
+    }
+  }
+
+  /**
+   * Clears a stale migration lock by terminating the session holding it
+   * @param {string} tableName - Name of the migrations table
+   * @returns {Promise<string|null>} Description of the terminated holder, or null if the lock was free
+   * @throws {Error} If the holder cannot be terminated
+   */
+  async forceUnlock(tableName) {
+    const holder = await this.getLockHolder(tableName);
+    if (!holder) {
+      return null;
+    }
+    await this.pool.query('SELECT pg_terminate_backend($1)', [holder.pid]);
+    return this.describeLockHolder(holder);
+  }
+
+  /**
+   * Closes the database connection pool. A later connect() creates a new one.
    * @throws {Error} If closing fails
    */
   async close() {
+    if (this.lockClient) {
+      this.lockClient.off('error', ignoreClientError);
+      this.lockClient.release();
+      this.lockClient = null;
+    }
     if (this.pool) {
-      await this.pool.end();
+      const pool = this.pool;
+      this.pool = null;
+      await pool.end();
     }
   }
 }
\ No newline at end of file
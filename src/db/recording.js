@@ -0,0 +1,103 @@
+/**
+ * Recording adapter used for dry runs
+ * @module db/recording
+ */
+
+import { replacePlaceholders } from '../utils/placeholders.js';
+import { SchemaBuilder } from './schema-builder.js';
+
+/**
+ * Formats a value as a SQL literal for display
+ * @private
+ * @param {*} value - Value to format
+ * @returns {string} SQL literal
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  if (value instanceof Date) {
+    return `'${value.toISOString()}'`;
+  }
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Adapter that captures the statements a migration would send instead of
+ * executing them. Tracking-table writes are captured as the equivalent SQL.
+ */
+export class RecordingAdapter {
+  /**
+   * Creates a recording adapter
+   * @param {string} dialect - Database type the schema builder generates SQL for
+   */
+  constructor(dialect) {
+    this.dialect = dialect;
+    this.statements = [];
+    this.schema = new SchemaBuilder(this, dialect);
+  }
+
+  /**
+   * Captures raw SQL instead of executing it
+   * @param {string} sql - SQL statement
+   */
+  async execute(sql) {
+    this.statements.push(sql.trim());
+  }
+
+  /**
+   * Captures a parameterized query with its values inlined for display.
+   * Nothing is read, so queries return no rows during a dry run.
+   * @param {string} sql - SQL statement with `?` placeholders
+   * @param {Array} [params=[]] - Values bound to the placeholders
+   * @returns {Promise<Object[]>} Always an empty array
+   */
+  async query(sql, params = []) {
+    const { sql: text } = replacePlaceholders(sql.trim(), index => formatValue(params[index]), {
+      escapes: this.dialect === 'postgres',
+    });
+    this.statements.push(text);
+    return [];
+  }
+
+  /**
+   * Captures the tracking-table insert for an applied migration
+   * @param {string} tableName - Name of the migrations table
+   * @param {string} name - Migration filename
+   * @param {Object} [details] - Extra tracking data
+   * @param {string} [details.checksum] - Content hash of the migration file
+   * @param {number} [details.batch] - Number of the `up` run that applied the migration
+   */
+  async recordMigration(tableName, name, { checksum = null, batch = null } = {}) {
+    this.statements.push(
+      `INSERT INTO ${tableName} (name, checksum, batch) VALUES (${formatValue(name)}, ${formatValue(checksum)}, ${formatValue(batch)})`
+    );
+  }
+
+  /**
+   * Captures the tracking-table delete for a reverted migration
+   * @param {string} tableName - Name of the migrations table
+   * @param {string} name - Migration filename
+   */
+  async removeMigration(tableName, name) {
+    this.statements.push(`DELETE FROM ${tableName} WHERE name = ${formatValue(name)}`);
+  }
+
+  /**
+   * Captures the transaction boundaries around a callback
+   * @param {Function} callback - Async function to run "inside" the transaction
+   * @returns {Promise<*>} Value returned by the callback
+   */
+  async transaction(callback) {
+    this.statements.push('BEGIN');
+    const result = await callback();
+    this.statements.push('COMMIT');
+    return result;
+  }
+}
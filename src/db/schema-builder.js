@@ -0,0 +1,431 @@
+/**
+ * Dialect-aware schema builder exposed to migrations as `adapter.schema`
+ * @module db/schema-builder
+ *
+ *   await adapter.schema.createTable('users', table => {
+ *     table.increments('id');
+ *     table.string('email', { length: 255, nullable: false, unique: true });
+ *     table.timestamp('created_at', { defaultRaw: 'CURRENT_TIMESTAMP' });
+ *   });
+ *
+ * Every operation is compiled to SQL for the adapter's database and sent
+ * through `adapter.execute()`, so it joins the migration's transaction and
+ * shows up in dry runs.
+ */
+
+import { DIALECTS, COLUMN_TYPES } from './dialects.js';
+
+const REFERENTIAL_ACTIONS = ['CASCADE', 'SET NULL', 'SET DEFAULT', 'RESTRICT', 'NO ACTION'];
+
+/**
+ * Normalizes a column name or list of column names to an array
+ * @private
+ * @param {string|string[]} columns - Column name(s)
+ * @returns {string[]} Column names
+ */
+function toArray(columns) {
+  return Array.isArray(columns) ? columns : [columns];
+}
+
+/**
+ * Strips the schema qualifier from a table name
+ * @private
+ * @param {string} tableName - Table name, optionally schema-qualified
+ * @returns {string} Unqualified table name
+ */
+function baseName(tableName) {
+  return tableName.slice(tableName.lastIndexOf('.') + 1);
+}
+
+/**
+ * Collects the columns, indexes and foreign keys of a table passed to
+ * createTable(). Each portable type also has a shorthand method, e.g.
+ * `table.string('name', options)` for `table.column('name', 'string', options)`.
+ */
+export class TableBuilder {
+  /**
+   * Creates an empty table definition
+   */
+  constructor() {
+    this.columns = [];
+    this.indexes = [];
+    this.foreignKeys = [];
+  }
+
+  /**
+   * Adds a column
+   * @param {string} name - Column name
+   * @param {string} type - Portable column type (see COLUMN_TYPES)
+   * @param {Object} [options] - Column options
+   * @param {number} [options.length] - Length of a string column (default 255)
+   * @param {number} [options.precision] - Total digits of a decimal column (default 10)
+   * @param {number} [options.scale] - Digits after the decimal point (default 2)
+   * @param {boolean} [options.nullable=true] - Whether the column accepts NULL
+   * @param {*} [options.default] - Default value, written as a literal
+   * @param {string} [options.defaultRaw] - Default SQL expression, e.g. 'CURRENT_TIMESTAMP'
+   * @param {boolean} [options.unique] - Adds a UNIQUE constraint
+   * @param {boolean} [options.primary] - Makes the column (part of) the primary key
+   * @returns {TableBuilder} This builder, for chaining
+   */
+  column(name, type, options = {}) {
+    this.columns.push({ name, type, options });
+    return this;
+  }
+
+  /**
+   * Adds an index, created right after the table
+   * @param {string|string[]} columns - Indexed column(s)
+   * @param {Object} [options] - Index options (see SchemaBuilder#addIndex)
+   * @returns {TableBuilder} This builder, for chaining
+   */
+  index(columns, options = {}) {
+    this.indexes.push({ columns: toArray(columns), options });
+    return this;
+  }
+
+  /**
+   * Adds a foreign key constraint
+   * @param {string|string[]} columns - Referencing column(s)
+   * @param {string} refTable - Referenced table
+   * @param {string|string[]} [refColumns='id'] - Referenced column(s)
+   * @param {Object} [options] - Constraint options (see SchemaBuilder#addForeignKey)
+   * @returns {TableBuilder} This builder, for chaining
+   */
+  foreignKey(columns, refTable, refColumns = 'id', options = {}) {
+    this.foreignKeys.push({ columns: toArray(columns), refTable, refColumns: toArray(refColumns), options });
+    return this;
+  }
+}
+
+for (const type of COLUMN_TYPES) {
+  TableBuilder.prototype[type] = function (name, options) {
+    return this.column(name, type, options);
+  };
+}
+
+/**
+ * Generates and runs DDL for the database an adapter talks to
+ */
+export class SchemaBuilder {
+  /**
+   * Creates a schema builder
+   * @param {Object} adapter - Adapter whose execute() runs the generated SQL
+   * @param {string} dialect - Database type ('postgres', 'mysql' or 'sqlite')
+   * @throws {Error} If the dialect is not supported
+   */
+  constructor(adapter, dialect) {
+    if (!DIALECTS[dialect]) {
+      throw new Error(`Unsupported schema dialect: ${dialect}`);
+    }
+    this.adapter = adapter;
+    this.dialect = DIALECTS[dialect];
+  }
+
+  /**
+   * Creates a table
+   * @param {string} tableName - Table name
+   * @param {Function} define - Called with a TableBuilder to declare columns, indexes and foreign keys
+   * @throws {Error} If the definition is invalid or a statement fails
+   */
+  async createTable(tableName, define) {
+    const table = new TableBuilder();
+    define(table);
+    if (table.columns.length === 0) {
+      throw new Error(`Table ${tableName} must define at least one column`);
+    }
+
+    const primary = table.columns.filter(column => column.options.primary).map(column => column.name);
+    const composite = primary.length > 1;
+    const lines = table.columns.map(column => this.columnDefinition(column, { inlinePrimary: !composite }));
+    if (composite) {
+      lines.push(`PRIMARY KEY (${this.quoteList(primary)})`);
+    }
+    for (const foreignKey of table.foreignKeys) {
+      lines.push(this.foreignKeyDefinition(tableName, foreignKey));
+    }
+
+    await this.run([
+      `CREATE TABLE ${this.quote(tableName)} (\n  ${lines.join(',\n  ')}\n)`,
+      ...table.indexes.map(index => this.createIndexStatement(tableName, index.columns, index.options)),
+    ]);
+  }
+
+  /**
+   * Drops a table
+   * @param {string} tableName - Table name
+   * @param {Object} [options] - Drop options
+   * @param {boolean} [options.ifExists] - Don't fail if the table is missing
+   * @throws {Error} If the statement fails
+   */
+  async dropTable(tableName, options = {}) {
+    await this.run([`DROP TABLE ${options.ifExists ? 'IF EXISTS ' : ''}${this.quote(tableName)}`]);
+  }
+
+  /**
+   * Adds a column to an existing table
+   * @param {string} tableName - Table name
+   * @param {string} name - Column name
+   * @param {string} type - Portable column type
+   * @param {Object} [options] - Column options (see TableBuilder#column)
+   * @throws {Error} If the type is unknown or the statement fails
+   */
+  async addColumn(tableName, name, type, options = {}) {
+    const definition = this.columnDefinition({ name, type, options }, { inlinePrimary: true });
+    await this.run([`ALTER TABLE ${this.quote(tableName)} ADD COLUMN ${definition}`]);
+  }
+
+  /**
+   * Drops a column. The type and options are not needed to drop it, but let
+   * a change() migration recreate the column on rollback.
+   * @param {string} tableName - Table name
+   * @param {string} name - Column name
+   * @param {string} [type] - Portable column type
+   * @param {Object} [options] - Column options (see TableBuilder#column)
+   * @throws {Error} If the statement fails
+   */
+  async dropColumn(tableName, name, type, options) {
+    await this.run([`ALTER TABLE ${this.quote(tableName)} DROP COLUMN ${this.quote(name)}`]);
+  }
+
+  /**
+   * Renames a column
+   * @param {string} tableName - Table name
+   * @param {string} from - Current column name
+   * @param {string} to - New column name
+   * @throws {Error} If the statement fails
+   */
+  async renameColumn(tableName, from, to) {
+    await this.run([`ALTER TABLE ${this.quote(tableName)} RENAME COLUMN ${this.quote(from)} TO ${this.quote(to)}`]);
+  }
+
+  /**
+   * Creates an index
+   * @param {string} tableName - Table name
+   * @param {string|string[]} columns - Indexed column(s)
+   * @param {Object} [options] - Index options
+   * @param {string} [options.name] - Index name (default `idx_<table>_<columns>`)
+   * @param {boolean} [options.unique] - Creates a unique index
+   * @throws {Error} If the statement fails
+   */
+  async addIndex(tableName, columns, options = {}) {
+    await this.run([this.createIndexStatement(tableName, toArray(columns), options)]);
+  }
+
+  /**
+   * Drops an index created by addIndex()
+   * @param {string} tableName - Table name
+   * @param {string|string[]} columns - Indexed column(s), used to derive the default name
+   * @param {Object} [options] - Index options
+   * @param {string} [options.name] - Index name, if it was given explicitly
+   * @param {boolean} [options.unique] - Whether the index is unique (used when a change() migration recreates it)
+   * @throws {Error} If the statement fails
+   */
+  async dropIndex(tableName, columns, options = {}) {
+    const name = options.name || this.indexName(tableName, toArray(columns));
+    await this.run([this.dialect.dropIndex(this.quote(tableName), this.quote(name))]);
+  }
+
+  /**
+   * Adds a foreign key constraint to an existing table. SQLite cannot alter
+   * constraints, so declare foreign keys in createTable() there.
+   * @param {string} tableName - Table name
+   * @param {string|string[]} columns - Referencing column(s)
+   * @param {string} refTable - Referenced table
+   * @param {string|string[]} [refColumns='id'] - Referenced column(s)
+   * @param {Object} [options] - Constraint options
+   * @param {string} [options.name] - Constraint name (default `fk_<table>_<columns>`)
+   * @param {string} [options.onDelete] - CASCADE, SET NULL, SET DEFAULT, RESTRICT or NO ACTION
+   * @param {string} [options.onUpdate] - Same choices as onDelete
+   * @throws {Error} If the database cannot alter constraints or the statement fails
+   */
+  async addForeignKey(tableName, columns, refTable, refColumns = 'id', options = {}) {
+    this.assertAlterForeignKeys('add');
+    const definition = this.foreignKeyDefinition(tableName, {
+      columns: toArray(columns),
+      refTable,
+      refColumns: toArray(refColumns),
+      options,
+    });
+    await this.run([`ALTER TABLE ${this.quote(tableName)} ADD ${definition}`]);
+  }
+
+  /**
+   * Drops a foreign key constraint added by addForeignKey()
+   * @param {string} tableName - Table name
+   * @param {string|string[]} columns - Referencing column(s), used to derive the default name
+   * @param {Object} [options] - Constraint options
+   * @param {string} [options.name] - Constraint name, if it was given explicitly
+   * @throws {Error} If the database cannot alter constraints or the statement fails
+   */
+  async dropForeignKey(tableName, columns, options = {}) {
+    this.assertAlterForeignKeys('drop');
+    const name = options.name || this.foreignKeyName(tableName, toArray(columns));
+    await this.run([this.dialect.dropForeignKey(this.quote(tableName), this.quote(name))]);
+  }
+
+  /**
+   * Sends statements to the adapter one at a time
+   * @private
+   * @param {string[]} statements - SQL statements
+   */
+  async run(statements) {
+    for (const sql of statements) {
+      await this.adapter.execute(sql);
+    }
+  }
+
+  /**
+   * Quotes an identifier, quoting each part of a schema-qualified name
+   * @private
+   * @param {string} name - Identifier
+   * @returns {string} Quoted identifier
+   */
+  quote(name) {
+    const quote = this.dialect.quote;
+    return name
+      .split('.')
+      .map(part => `${quote}${part.replaceAll(quote, quote + quote)}${quote}`)
+      .join('.');
+  }
+
+  /**
+   * Quotes a list of identifiers
+   * @private
+   * @param {string[]} names - Identifiers
+   * @returns {string} Comma-separated quoted identifiers
+   */
+  quoteList(names) {
+    return names.map(name => this.quote(name)).join(', ');
+  }
+
+  /**
+   * Formats a default value as a SQL literal
+   * @private
+   * @param {*} value - Default value
+   * @returns {string} SQL literal
+   */
+  literal(value) {
+    if (value === null) {
+      return 'NULL';
+    }
+    if (typeof value === 'boolean') {
+      return this.dialect.formatBoolean(value);
+    }
+    if (typeof value === 'number') {
+      return String(value);
+    }
+    if (value instanceof Date) {
+      return `'${value.toISOString()}'`;
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return `'${this.dialect.escapeString(text)}'`;
+  }
+
+  /**
+   * Builds the definition of a single column
+   * @private
+   * @param {{name: string, type: string, options: Object}} column - Column declaration
+   * @param {Object} flags - Rendering flags
+   * @param {boolean} flags.inlinePrimary - Whether `primary: true` is rendered on the column itself
+   * @returns {string} Column definition
+   * @throws {Error} If the type is unknown
+   */
+  columnDefinition({ name, type, options }, { inlinePrimary }) {
+    const native = this.dialect.types[type];
+    if (!native) {
+      throw new Error(`Unknown column type '${type}' for column ${name}. Supported types: ${COLUMN_TYPES.join(', ')}`);
+    }
+
+    const parts = [this.quote(name), native(options)];
+    if (options.nullable === false) {
+      parts.push('NOT NULL');
+    }
+    if (options.defaultRaw !== undefined) {
+      parts.push(`DEFAULT ${options.defaultRaw}`);
+    } else if (options.default !== undefined) {
+      parts.push(`DEFAULT ${this.literal(options.default)}`);
+    }
+    if (options.unique) {
+      parts.push('UNIQUE');
+    }
+    if (options.primary && inlinePrimary) {
+      parts.push('PRIMARY KEY');
+    }
+    return parts.join(' ');
+  }
+
+  /**
+   * Builds a CREATE INDEX statement
+   * @private
+   * @param {string} tableName - Table name
+   * @param {string[]} columns - Indexed columns
+   * @param {Object} options - Index options
+   * @returns {string} SQL statement
+   */
+  createIndexStatement(tableName, columns, options) {
+    const name = options.name || this.indexName(tableName, columns);
+    return `CREATE ${options.unique ? 'UNIQUE ' : ''}INDEX ${this.quote(name)} ON ${this.quote(tableName)} (${this.quoteList(columns)})`;
+  }
+
+  /**
+   * Derives the default name of an index
+   * @private
+   * @param {string} tableName - Table name
+   * @param {string[]} columns - Indexed columns
+   * @returns {string} Index name
+   */
+  indexName(tableName, columns) {
+    return `idx_${baseName(tableName)}_${columns.join('_')}`;
+  }
+
+  /**
+   * Builds a FOREIGN KEY constraint clause
+   * @private
+   * @param {string} tableName - Referencing table
+   * @param {{columns: string[], refTable: string, refColumns: string[], options: Object}} foreignKey - Constraint declaration
+   * @returns {string} Constraint clause
+   * @throws {Error} If an ON DELETE/ON UPDATE action is not recognized
+   */
+  foreignKeyDefinition(tableName, { columns, refTable, refColumns, options }) {
+    const name = options.name || this.foreignKeyName(tableName, columns);
+    let sql = `CONSTRAINT ${this.quote(name)} FOREIGN KEY (${this.quoteList(columns)}) ` +
+      `REFERENCES ${this.quote(refTable)} (${this.quoteList(refColumns)})`;
+
+    for (const [clause, action] of [['ON DELETE', options.onDelete], ['ON UPDATE', options.onUpdate]]) {
+      if (action === undefined) {
+        continue;
+      }
+      const normalized = String(action).toUpperCase();
+      if (!REFERENTIAL_ACTIONS.includes(normalized)) {
+        throw new Error(`Invalid ${clause} action '${action}'. Expected one of: ${REFERENTIAL_ACTIONS.join(', ')}`);
+      }
+      sql += ` ${clause} ${normalized}`;
+    }
+    return sql;
+  }
+
+  /**
+   * Derives the default name of a foreign key constraint
+   * @private
+   * @param {string} tableName - Referencing table
+   * @param {string[]} columns - Referencing columns
+   * @returns {string} Constraint name
+   */
+  foreignKeyName(tableName, columns) {
+    return `fk_${baseName(tableName)}_${columns.join('_')}`;
+  }
+
+  /**
+   * Rejects foreign key changes on databases that cannot alter constraints
+   * @private
+   * @param {string} action - 'add' or 'drop'
+   * @throws {Error} If the dialect does not support it
+   */
+  assertAlterForeignKeys(action) {
+    if (!this.dialect.supportsAlterForeignKeys) {
+      throw new Error(
+        `SQLite cannot ${action} a foreign key on an existing table; declare foreign keys in createTable() instead`
+      );
+    }
+  }
+}
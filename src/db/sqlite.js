@@ -0,0 +1,484 @@
+/**
+ * SQLite database adapter for managing migrations
+ * @module db/sqlite
+ */
+
+import os from 'os';
+import { TRACKING_TABLE_COLUMNS } from '../utils/constants.js';
+import { SchemaBuilder } from './schema-builder.js';
+
+const MEMORY_DATABASE = ':memory:';
+const LOCK_POLL_INTERVAL = 250;
+
+// busy_timeout has no "wait forever" value; this is the largest it accepts
+const MAX_BUSY_TIMEOUT = 2147483647;
+
+/**
+ * Loads the better-sqlite3 driver on first use. It is a native module and an
+ * optional peer dependency, so projects that do not use SQLite never load it.
+ * @private
+ * @returns {Promise<Function>} The better-sqlite3 Database class
+ * @throws {Error} If better-sqlite3 is not installed
+ */
+async function loadDriver() {
+  try {
+    return (await import('better-sqlite3')).default;
+  } catch (err) {
+    if (err.code === 'ERR_MODULE_NOT_FOUND' && err.message.includes('better-sqlite3')) {
+      throw new Error('SQLite support needs the better-sqlite3 package: npm install better-sqlite3');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Quotes an identifier for use in PRAGMA arguments and SQL
+ * @private
+ * @param {string} name - Identifier
+ * @returns {string} Quoted identifier
+ */
+function quoteIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * SQLite adapter class implementing the database adapter interface
+ */
+export class SqliteAdapter {
+  /**
+   * Creates a SQLite adapter instance
+   * @param {Object} config - Database configuration
+   * @param {string} config.filename - Path to the database file, or ':memory:' for an in-memory database
+   * @param {string} [config.database] - Alias for filename
+   */
+  constructor(config) {
+    this.config = {
+      filename: config.filename || config.database,
+    };
+    if (!this.config.filename) {
+      throw new Error('SQLite database filename is required');
+    }
+    this.db = null;
+    this.schema = new SchemaBuilder(this, 'sqlite');
+  }
+
+  /**
+   * Whether the adapter points at an in-memory database
+   * @private
+   * @returns {boolean} True for ':memory:' databases
+   */
+  isMemory() {
+    return this.config.filename === MEMORY_DATABASE;
+  }
+
+  /**
+   * Opens the database file (a no-op if it is already open)
+   * @returns {Promise<boolean>} True if connection successful
+   * @throws {Error} If the database cannot be opened
+   */
+  async connect() {
+    if (this.db) {
+      return true;
+    }
+    const Database = await loadDriver();
+    try {
+      this.db = new Database(this.config.filename);
+      return true;
+    } catch (err) {
+      throw new Error(`SQLite connection failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Creates the migrations tracking table if it doesn't exist, and adds any
+   * columns introduced since it was created
+   * @param {string} tableName - Name of the migrations table
+   * @throws {Error} If table creation fails
+   */
+  async createMigrationsTable(tableName) {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ${tableName} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    const existing = this.getTrackingColumns(tableName);
+    for (const [column, type] of Object.entries(TRACKING_TABLE_COLUMNS)) {
+      if (!existing.includes(column)) {
+        this.db.exec(`ALTER TABLE ${tableName} ADD COLUMN ${column} ${type}`);
+      }
+    }
+  }
+
+  /**
+   * Checks whether the migrations tracking table exists
+   * @param {string} tableName - Name of the migrations table
+   * @returns {Promise<boolean>} True if the table exists
+   * @throws {Error} If query fails
+   */
+  async hasMigrationsTable(tableName) {
+    const row = this.db
+      .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?")
+      .get(tableName);
+    return Boolean(row);
+  }
+
+  /**
+   * Retrieves all executed migrations in chronological order
+   * @param {string} tableName - Name of the migrations table
+   * @returns {Promise<string[]>} Array of migration names
+   * @throws {Error} If query fails
+   */
+  async getMigrations(tableName) {
+    const rows = this.db.prepare(`SELECT name FROM ${tableName} ORDER BY executed_at ASC, id ASC`).all();
+    return rows.map(row => row.name);
+  }
+
+  /**
+   * Lists the columns of the tracking table, so reads work on tables
+   * created before columns were added to it
+   * @private
+   * @param {string} tableName - Name of the migrations table
+   * @returns {string[]} Column names
+   */
+  getTrackingColumns(tableName) {
+    return this.db.pragma(`table_info(${tableName})`).map(column => column.name);
+  }
+
+  /**
+   * Retrieves the tracking rows of all executed migrations in chronological order.
+   * Columns missing from a table created by an older version read as null.
+   * @param {string} tableName - Name of the migrations table
+   * @returns {Promise<Array<{name: string, checksum: string|null, batch: number|null, executedAt: Date}>>} Tracking rows
+   * @throws {Error} If query fails
+   */
+  async getMigrationRecords(tableName) {
+    const existing = this.getTrackingColumns(tableName);
+    const columns = Object.keys(TRACKING_TABLE_COLUMNS).map(column => (existing.includes(column) ? column : `NULL AS ${column}`));
+    // CURRENT_TIMESTAMP has one-second resolution, so break ties by insert order
+    const rows = this.db
+      .prepare(`SELECT name, ${columns.join(', ')}, executed_at FROM ${tableName} ORDER BY executed_at ASC, id ASC`)
+      .all();
+    return rows.map(row => ({
+      name: row.name,
+      checksum: row.checksum,
+      batch: row.batch,
+      // SQLite stores CURRENT_TIMESTAMP as 'YYYY-MM-DD HH:MM:SS' in UTC
+      executedAt: new Date(`${row.executed_at.replace(' ', 'T')}Z`),
+    }));
+  }
+
+  /**
+   * Records a successfully executed migration
+   * @param {string} tableName - Name of the migrations table
+   * @param {string} name - Migration filename
+   * @param {Object} [details] - Extra tracking data
+   * @param {string} [details.checksum] - Content hash of the migration file
+   * @param {number} [details.batch] - Number of the `up` run that applied the migration
+   * @throws {Error} If insert fails
+   */
+  async recordMigration(tableName, name, { checksum = null, batch = null } = {}) {
+    this.db.prepare(`INSERT INTO ${tableName} (name, checksum, batch) VALUES (?, ?, ?)`).run(name, checksum, batch);
+  }
+
+  /**
+   * Stores the checksum of an already executed migration
+   * @param {string} tableName - Name of the migrations table
+   * @param {string} name - Migration filename
+   * @param {string} checksum - Content hash of the migration file
+   * @throws {Error} If update fails
+   */
+  async updateChecksum(tableName, name, checksum) {
+    this.db.prepare(`UPDATE ${tableName} SET checksum = ? WHERE name = ?`).run(checksum, name);
+  }
+
+  /**
+   * Removes a migration record (used during rollback)
+   * @param {string} tableName - Name of the migrations table
+   * @param {string} name - Migration filename
+   * @throws {Error} If delete fails
+   */
+  async removeMigration(tableName, name) {
+    this.db.prepare(`DELETE FROM ${tableName} WHERE name = ?`).run(name);
+  }
+
+  /**
+   * Executes raw SQL (used by migrations). Multiple statements separated by
+   * semicolons are allowed.
+   * @param {string} sql - SQL statement to execute
+   * @throws {Error} If execution fails
+   */
+  async execute(sql) {
+    this.db.exec(sql);
+  }
+
+  /**
+   * Runs a parameterized query (used by data migrations)
+   * @param {string} sql - SQL statement with `?` placeholders
+   * @param {Array} [params=[]] - Values bound to the placeholders
+   * @returns {Promise<Object[]>} Result rows (empty for statements that return none)
+   * @throws {Error} If execution fails
+   */
+  async query(sql, params = []) {
+    const statement = this.db.prepare(sql);
+    if (statement.reader) {
+      return statement.all(...params);
+    }
+    statement.run(...params);
+    return [];
+  }
+
+  /**
+   * Runs a callback inside a transaction. SQLite supports transactional DDL,
+   * so a failing migration leaves no trace.
+   * @param {Function} callback - Async function to run inside the transaction
+   * @returns {Promise<*>} Value returned by the callback
+   * @throws {Error} If the callback or the commit fails (after rolling back)
+   */
+  async transaction(callback) {
+    this.db.exec('BEGIN');
+    try {
+      const result = await callback();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (err) {
+      if (this.db.inTransaction) {
+        this.db.exec('ROLLBACK');
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Runs a callback with the lock timeout applied as busy_timeout, how long
+   * a write waits for another connection's lock. SQLite has no statement
+   * timeout, so `statementTimeout` is ignored.
+   * @param {Object} timeouts - Timeouts in milliseconds; 0 disables one, undefined keeps the current setting
+   * @param {number} [timeouts.lockTimeout] - Longest wait for the database lock
+   * @param {Function} callback - Async function to run
+   * @returns {Promise<*>} Value returned by the callback
+   * @throws {Error} If the callback fails, e.g. with SQLITE_BUSY
+   */
+  async withTimeouts(timeouts, callback) {
+    if (timeouts.lockTimeout === undefined) {
+      return callback();
+    }
+
+    const previous = this.db.pragma('busy_timeout', { simple: true });
+    this.db.pragma(`busy_timeout = ${timeouts.lockTimeout === 0 ? MAX_BUSY_TIMEOUT : Number(timeouts.lockTimeout)}`);
+    try {
+      return await callback();
+    } finally {
+      this.db.pragma(`busy_timeout = ${previous}`);
+    }
+  }
+
+  /**
+   * Checks whether a migration step that failed with this error can be run
+   * again: the database was locked, and the transaction rolled back
+   * everything the step did
+   * @param {Error} err - Error thrown by a statement
+   * @returns {boolean} True for a lock timeout
+   */
+  canRetry(err) {
+    return err.code === 'SQLITE_BUSY';
+  }
+
+  /**
+   * Lists the tables in the database, leaving out checkpoint's own tracking,
+   * lock and seeds tables
+   * @param {string} tableName - Name of the migrations table
+   * @returns {Promise<string[]>} Table names, sorted
+   * @throws {Error} If query fails
+   */
+  async listTables(tableName) {
+    const rows = this.db
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name NOT IN (?, ?, ?)")
+      .all(tableName, `${tableName}_lock`, `${tableName}_seeds`);
+    return rows.map(row => row.name).sort();
+  }
+
+  /**
+   * Builds DDL that recreates the database from sqlite_master: each table's
+   * CREATE TABLE statement as stored, then its indexes, sorted by name
+   * @param {string} tableName - Name of the migrations table (left out)
+   * @returns {Promise<string[]>} SQL statements without trailing semicolons
+   * @throws {Error} If query fails
+   */
+  async dumpSchema(tableName) {
+    const tables = await this.listTables(tableName);
+    const rows = this.db
+      .prepare("SELECT type, name, tbl_name, sql FROM sqlite_master WHERE sql IS NOT NULL AND type IN ('table', 'index')")
+      .all()
+      .filter(row => tables.includes(row.tbl_name))
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    return [
+      ...rows.filter(row => row.type === 'table').map(row => row.sql),
+      ...rows.filter(row => row.type === 'index').map(row => row.sql),
+    ];
+  }
+
+  /**
+   * Introspects the database into a structure drift detection can compare:
+   * per table, the definition of every column, index, primary key and
+   * foreign key. SQLite does not expose CHECK constraints separately, so
+   * they are not compared.
+   * @param {string} tableName - Name of the migrations table (left out)
+   * @returns {Promise<Object<string, {columns: Object<string, string>, indexes: Object<string, string>, constraints: Object<string, string>}>>} Schema by table name
+   * @throws {Error} If a query fails
+   */
+  async getSchema(tableName) {
+    const schema = {};
+    for (const name of await this.listTables(tableName)) {
+      const table = { columns: {}, indexes: {}, constraints: {} };
+
+      const columns = this.db.pragma(`table_xinfo(${quoteIdentifier(name)})`);
+      for (const column of columns) {
+        let definition = column.type;
+        if (column.notnull) {
+          definition += ' NOT NULL';
+        }
+        if (column.dflt_value !== null) {
+          definition += ` DEFAULT ${column.dflt_value}`;
+        }
+        table.columns[column.name] = definition;
+      }
+
+      const primaryKey = columns.filter(column => column.pk > 0).sort((a, b) => a.pk - b.pk);
+      if (primaryKey.length > 0) {
+        table.constraints['PRIMARY KEY'] = `PRIMARY KEY (${primaryKey.map(column => column.name).join(', ')})`;
+      }
+
+      const foreignKeys = {};
+      for (const row of this.db.pragma(`foreign_key_list(${quoteIdentifier(name)})`)) {
+        foreignKeys[row.id] = foreignKeys[row.id] || { ...row, columns: [], refColumns: [] };
+        foreignKeys[row.id].columns.push(row.from);
+        foreignKeys[row.id].refColumns.push(row.to);
+      }
+      for (const fk of Object.values(foreignKeys)) {
+        table.constraints[`FOREIGN KEY (${fk.columns.join(', ')})`] =
+          `FOREIGN KEY (${fk.columns.join(', ')}) REFERENCES ${fk.table} (${fk.refColumns.join(', ')}) ` +
+          `ON DELETE ${fk.on_delete} ON UPDATE ${fk.on_update}`;
+      }
+
+      for (const index of this.db.pragma(`index_list(${quoteIdentifier(name)})`)) {
+        const parts = this.db.pragma(`index_info(${quoteIdentifier(index.name)})`).map(part => part.name);
+        table.indexes[index.name] = `${index.unique ? 'UNIQUE INDEX' : 'INDEX'} (${parts.join(', ')})`;
+      }
+
+      schema[name] = table;
+    }
+    return schema;
+  }
+
+  /**
+   * Creates an empty in-memory database to replay migrations into, so drift
+   * detection can learn the schema they produce
+   * @returns {Promise<{adapter: SqliteAdapter, drop: Function}>} Connected shadow adapter, and a function that discards it
+   */
+  async createShadow() {
+    const shadow = new SqliteAdapter({ filename: MEMORY_DATABASE });
+    await shadow.connect();
+    return {
+      adapter: shadow,
+      drop: async () => {
+        shadow.db.close();
+      },
+    };
+  }
+
+  /**
+   * Acquires the migration lock. SQLite has no session-level locks, so the
+   * lock is a single row in a `<tableName>_lock` table that names its holder.
+   * @param {string} tableName - Name of the migrations table
+   * @param {number} timeout - Maximum time to wait for the lock, in milliseconds
+   * @throws {Error} If the lock cannot be acquired within the timeout
+   */
+  async acquireLock(tableName, timeout) {
+    const lockTable = `${tableName}_lock`;
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ${lockTable} (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        holder VARCHAR(255) NOT NULL,
+        acquired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    const holder = `pid ${process.pid} on ${os.hostname()}`;
+    const insert = this.db.prepare(`INSERT OR IGNORE INTO ${lockTable} (id, holder) VALUES (1, ?)`);
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+      if (insert.run(holder).changes === 1) {
+        return;
+      }
+      if (Date.now() >= deadline) {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_POLL_INTERVAL));
+    }
+
+    const current = this.getLockHolder(tableName);
+    throw new Error(
+      `Could not acquire migration lock within ${timeout}ms: held by ${current || 'an unknown process'}. ` +
+      `If that process is gone, run 'checkpoint unlock'.`
+    );
+  }
+
+  /**
+   * Looks up the process currently holding the migration lock
+   * @private
+   * @param {string} tableName - Name of the migrations table
+   * @returns {string|null} Description of the holder, or null if the lock is free
+   */
+  getLockHolder(tableName) {
+    const lockTable = `${tableName}_lock`;
+    const exists = this.db
+      .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?")
+      .get(lockTable);
+    if (!exists) {
+      return null;
+    }
+    const row = this.db.prepare(`SELECT holder, acquired_at FROM ${lockTable} WHERE id = 1`).get();
+    return row ? `${row.holder} (since ${row.acquired_at} UTC)` : null;
+  }
+
+  /**
+   * Releases the lock taken by acquireLock()
+   * @param {string} tableName - Name of the migrations table
+   * @throws {Error} If unlocking fails
+   */
+  async releaseLock(tableName) {
+    this.db.prepare(`DELETE FROM ${tableName}_lock WHERE id = 1 AND holder = ?`)
+      .run(`pid ${process.pid} on ${os.hostname()}`);
+  }
+
+  /**
+   * Clears a stale migration lock by deleting its lock row
+   * @param {string} tableName - Name of the migrations table
+   * @returns {Promise<string|null>} Description of the previous holder, or null if the lock was free
+   * @throws {Error} If the lock row cannot be deleted
+   */
+  async forceUnlock(tableName) {
+    const holder = this.getLockHolder(tableName);
+    if (holder) {
+      this.db.prepare(`DELETE FROM ${tableName}_lock WHERE id = 1`).run();
+    }
+    return holder;
+  }
+
+  /**
+   * Closes the database file. In-memory databases stay open for the lifetime
+   * of the adapter, since closing one discards its contents.
+   * @throws {Error} If closing fails
+   */
+  async close() {
+    if (this.db && !this.isMemory()) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
@@ -1,31 +1,64 @@
 import { PostgresAdapter } from './db/postgres.js';
 import { MysqlAdapter } from './db/mysql.js';
-import { scanMigrations, loadMigration, generateMigrationFilename } from './utils/file-scanner.js';
+import { SqliteAdapter } from './db/sqlite.js';
+import { RecordingAdapter } from './db/recording.js';
+import { scanMigrations, scanSeeds, loadMigration, loadSeed, computeChecksum, generateMigrationFilename } from './utils/file-scanner.js';
+import { splitStatements } from './utils/sql-migration.js';
+import { resolveSchemaFile, renderSchemaFile } from './utils/schema-file.js';
+import { diffSchemas, formatDifference } from './utils/schema-diff.js';
+import { resolveEnvironment, resolveDatabaseConfig } from './utils/config.js';
+import { resolveTenants, tenantConfig, findTenant } from './utils/tenants.js';
+import { DEFAULT_CONFIG, OUT_OF_ORDER_POLICIES, MIGRATION_HOOKS, MIGRATION_TIMEOUTS } from './utils/constants.js';
+import { EventEmitter } from 'events';
 import fs from 'fs/promises';
 import path from 'path';
 
 /**
- * Main migration manager class
+ * Main migration manager class. Emits `migration:start`, `migration:end`
+ * and `migration:error` around every migration it applies or rolls back.
  */
-export class Migrator {
+export class Migrator extends EventEmitter {
   /**
    * Creates a new Migrator instance
    * @param {Object} config - Configuration object
-   * @param {Object} config.database - Database configuration
-   * @param {string} config.database.type - Database type ('postgres' or 'mysql')
+   * @param {Object|string} config.database - Database configuration, or a connection URL
+   * @param {string} [config.database.url] - Connection URL; properties set next to it take precedence
+   * @param {string} config.database.type - Database type ('postgres', 'mysql' or 'sqlite')
    * @param {string} config.database.host - Database host
    * @param {number} config.database.port - Database port
    * @param {string} config.database.user - Database user
    * @param {string} config.database.password - Database password
    * @param {string} config.database.database - Database name
+   * @param {string} [config.database.filename] - SQLite database file, or ':memory:'
+   * @param {Object} [config.database.options] - Extra options passed to the database driver (e.g. ssl)
+   * @param {string} [config.database.schema] - PostgreSQL schema for migrations and the tracking table; created if missing
+   * @param {string|string[]} [config.database.searchPath] - PostgreSQL schemas searched after `schema`
    * @param {string} config.migrationsDir - Directory containing migration files
-   * @param {string} config.tableName - Name of the migrations tracking table
+   * @param {string} config.tableName - Name of the migrations tracking table; PostgreSQL accepts `schema.table`
+   * @param {number} [config.lockWaitTimeout=60000] - How long up/down wait for another runner's lock, in milliseconds
+   * @param {number} [config.lockTimeout] - Longest wait for a table lock while a migration runs, in milliseconds (0: no limit; default: the server's setting)
+   * @param {number} [config.statementTimeout] - Longest run time of a migration statement, in milliseconds (0: no limit; default: the server's setting)
+   * @param {number} [config.lockTimeoutRetries=3] - How often a migration that hit the lock timeout is retried (PostgreSQL and SQLite; MySQL never retries)
+   * @param {number} [config.lockTimeoutBackoff=1000] - Wait before the first retry, in milliseconds; doubles with each retry
+   * @param {Object|string} [config.shadowDatabase] - Separate database (same type, settings or a connection URL) that drift replays the migrations into; required for PostgreSQL and MySQL
+   * @param {string} [config.schemaFile] - Path of the schema dump (default: schema.sql next to migrationsDir)
+   * @param {string} [config.seedsDir] - Directory containing seed files (default: seeds next to migrationsDir)
+   * @param {boolean} [config.autoDumpSchema=false] - Rewrite the schema dump after every `up` that applies migrations
+   * @param {string} [config.outOfOrder='warn'] - What `up` does with pending migrations older than the newest applied one: 'error', 'warn' or 'allow'
+   * @param {Object} [config.logger=console] - Receives progress output; needs info() and warn() methods
+   * @param {Object} [config.hooks] - Functions called as `(adapter, name, direction)` by `up` and `down`: `beforeAll`/`afterAll` around the run (with the list of names), `beforeEach`/`afterEach` inside each migration's transaction
+   * @param {Object} [config.environments] - Settings per environment name, overriding the ones outside the map
+   * @param {string} [config.environment] - Environment to use from `environments` (default: NODE_ENV, then 'development')
+   * @param {Array<Object>|Function} [config.tenants] - Tenants (`{ name, ...overrides }`), or an async function returning them; up, down and status then run for each
+   * @param {number} [config.tenantConcurrency=1] - How many tenants are migrated at the same time
    * @throws {Error} If configuration is invalid
    */
   constructor(config) {
+    super();
     if (!config) {
       throw new Error('Configuration is required');
     }
+    config = resolveEnvironment(config);
     if (!config.database) {
       throw new Error('Database configuration is required');
     }
@@ -37,117 +70,1428 @@ export class Migrator {
     }
 
     // Validate table name to prevent SQL injection
-    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(config.tableName)) {
-      throw new Error('Invalid table name. Must start with a letter or underscore and contain only alphanumeric characters and underscores');
+    if (!/^([a-zA-Z_][a-zA-Z0-9_]*\.)?[a-zA-Z_][a-zA-Z0-9_]*$/.test(config.tableName)) {
+      throw new Error('Invalid table name. Must start with a letter or underscore and contain only alphanumeric characters and underscores, optionally qualified with a schema (schema.table)');
     }
 
-    this.config = config;
+    if (config.lockWaitTimeout !== undefined && !(Number.isInteger(config.lockWaitTimeout) && config.lockWaitTimeout >= 0)) {
+      throw new Error('Lock wait timeout must be a non-negative integer (milliseconds)');
+    }
+
+    for (const option of [...MIGRATION_TIMEOUTS, 'lockTimeoutBackoff']) {
+      if (config[option] !== undefined && !(Number.isInteger(config[option]) && config[option] >= 0)) {
+        throw new Error(`${option} must be a non-negative integer (milliseconds)`);
+      }
+    }
+    if (config.lockTimeoutRetries !== undefined && !(Number.isInteger(config.lockTimeoutRetries) && config.lockTimeoutRetries >= 0)) {
+      throw new Error('lockTimeoutRetries must be a non-negative integer');
+    }
+
+    if (config.outOfOrder !== undefined && !OUT_OF_ORDER_POLICIES.includes(config.outOfOrder)) {
+      throw new Error(`Invalid outOfOrder policy: ${config.outOfOrder}. Expected one of: ${OUT_OF_ORDER_POLICIES.join(', ')}`);
+    }
+
+    if (config.hooks !== undefined) {
+      if (!config.hooks || typeof config.hooks !== 'object') {
+        throw new Error('hooks must be an object mapping hook names to functions');
+      }
+      for (const [hook, fn] of Object.entries(config.hooks)) {
+        if (!MIGRATION_HOOKS.includes(hook)) {
+          throw new Error(`Unknown hook: ${hook}. Expected one of: ${MIGRATION_HOOKS.join(', ')}`);
+        }
+        if (typeof fn !== 'function') {
+          throw new Error(`Hook ${hook} must be a function`);
+        }
+      }
+    }
+
+    if (config.tenants !== undefined && !Array.isArray(config.tenants) && typeof config.tenants !== 'function') {
+      throw new Error('tenants must be an array, or a function returning one');
+    }
+    if (config.tenantConcurrency !== undefined && !(Number.isInteger(config.tenantConcurrency) && config.tenantConcurrency >= 1)) {
+      throw new Error('Tenant concurrency must be a positive integer');
+    }
+
+    const logger = config.logger ?? console;
+    if (typeof logger.info !== 'function' || typeof logger.warn !== 'function') {
+      throw new Error('Logger must provide info() and warn() methods');
+    }
+
+    const database = resolveDatabaseConfig(config.database);
+    if (database.type !== 'postgres') {
+      if (config.tableName.includes('.')) {
+        throw new Error(`Schema-qualified table names are only supported for PostgreSQL, not ${database.type}`);
+      }
+      if (database.schema || database.searchPath) {
+        throw new Error(`The schema and searchPath database options are only supported for PostgreSQL, not ${database.type}`);
+      }
+    }
+
+    const shadowDatabase = config.shadowDatabase && resolveDatabaseConfig(config.shadowDatabase);
+    if (shadowDatabase && shadowDatabase.type !== database.type) {
+      throw new Error(`shadowDatabase must be a ${database.type} database, not ${shadowDatabase.type}`);
+    }
+
+    this.config = { ...config, database, shadowDatabase };
+    this.logger = logger;
     this.adapter = this.initAdapter();
   }
 
   /**
    * Initializes the appropriate database adapter based on configuration
    * @private
-   * @returns {PostgresAdapter|MysqlAdapter} Database adapter instance
+   * @param {Object} [database=this.config.database] - Resolved database configuration
+   * @returns {PostgresAdapter|MysqlAdapter|SqliteAdapter} Database adapter instance
    * @throws {Error} If database type is not supported
    */
-  initAdapter() {
-    const dbType = this.config.database.type;
+  initAdapter(database = this.config.database) {
+    const dbType = database.type;
 
     switch (dbType) {
       case 'postgres':
-        return new PostgresAdapter(this.config.database);
+        return new PostgresAdapter(database);
       case 'mysql':
-        return new MysqlAdapter(this.config.database);
+        return new MysqlAdapter(database);
+      case 'sqlite':
+        return new SqliteAdapter(database);
       default:
-        throw new Error(`Unsupported database type: ${dbType}. Supported types: postgres, mysql`);
+        throw new Error(`Unsupported database type: ${dbType}. Supported types: postgres, mysql, sqlite`);
+    }
+  }
+
+  /**
+   * Creates a Migrator for one tenant. Its lifecycle events are re-emitted
+   * here with a `tenant` property.
+   * @private
+   * @param {Object} tenant - Tenant entry
+   * @param {Object} logger - Logger for the tenant's output
+   * @returns {Migrator} Migrator for the tenant
+   */
+  createTenantMigrator(tenant, logger) {
+    const migrator = new Migrator({ ...tenantConfig(this.config, tenant), logger });
+    for (const event of ['migration:start', 'migration:end', 'migration:error']) {
+      migrator.on(event, details => this.emit(event, { ...details, tenant: tenant.name }));
+    }
+    return migrator;
+  }
+
+  /**
+   * Returns a Migrator that runs commands against a single tenant
+   * @param {string} name - Tenant name
+   * @returns {Promise<Migrator>} Migrator for the tenant
+   * @throws {Error} If tenant mode is off or no tenant has that name
+   */
+  async forTenant(name) {
+    if (!this.config.tenants) {
+      throw new Error(`Cannot select tenant ${name}: the config has no tenants`);
+    }
+    return this.createTenantMigrator(findTenant(await resolveTenants(this.config), name), this.logger);
+  }
+
+  /**
+   * Refuses commands that only make sense for one database in tenant mode
+   * @private
+   * @param {string} command - Command name, for the error message
+   * @throws {Error} If the config has tenants
+   */
+  assertSingleTenant(command) {
+    if (this.config.tenants) {
+      throw new Error(`${command} runs on one tenant at a time; select one with --tenant <name>`);
     }
   }
 
+  /**
+   * Runs a command for every tenant, `tenantConcurrency` at a time, then
+   * prints a summary. A failing tenant does not stop the others unless
+   * `failFast` is set, in which case tenants not yet started are skipped.
+   * @private
+   * @param {string} command - 'up', 'down' or 'status'
+   * @param {Object} options - Command options
+   * @param {boolean} [options.failFast=false] - Stop starting new tenants after the first failure
+   * @returns {Promise<{tenants: Array<{name: string, result?: Object, error?: string, skipped?: boolean}>}>} Outcome per tenant
+   * @throws {Error} If any tenant failed; `err.result` holds the outcome per tenant
+   */
+  async runForTenants(command, options) {
+    const tenants = await resolveTenants(this.config);
+    const limit = this.config.tenantConcurrency ?? DEFAULT_CONFIG.tenantConcurrency;
+    const outcomes = tenants.map(({ name }) => ({ name, skipped: true }));
+
+    let next = 0;
+    let stopped = false;
+    const worker = async () => {
+      while (next < tenants.length && !stopped) {
+        const index = next++;
+        const tenant = tenants[index];
+        // Leading blank lines stay in front of the prefix
+        const prefix = message => String(message).replace(/^\n*/, match => `${match}[${tenant.name}] `);
+        try {
+          // Inside the try, so a tenant with an invalid config fails on its own
+          const migrator = this.createTenantMigrator(tenant, {
+            info: message => this.logger.info(prefix(message)),
+            warn: message => this.logger.warn(prefix(message)),
+          });
+          outcomes[index] = { name: tenant.name, result: await migrator[command](options) };
+        } catch (err) {
+          outcomes[index] = { name: tenant.name, error: err.message };
+          if (options.failFast) {
+            stopped = true;
+          }
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, tenants.length) }, worker));
+
+    this.logger.info('\nTenants:');
+    for (const outcome of outcomes) {
+      if (outcome.error) {
+        this.logger.info(`  ✗ ${outcome.name}: ${outcome.error}`);
+      } else if (outcome.skipped) {
+        this.logger.info(`  ○ ${outcome.name} (skipped after a failure)`);
+      } else {
+        this.logger.info(`  ✓ ${outcome.name}: ${this.describeTenantResult(command, outcome.result)}`);
+      }
+    }
+
+    const result = { tenants: outcomes };
+    const failed = outcomes.filter(outcome => outcome.error).length;
+    if (failed > 0) {
+      const err = new Error(`${failed} of ${tenants.length} tenant(s) failed`);
+      err.result = result;
+      throw err;
+    }
+    return result;
+  }
+
+  /**
+   * Summarizes one tenant's result for the tenant summary
+   * @private
+   * @param {string} command - 'up', 'down' or 'status'
+   * @param {Object|Array} result - Value returned by the command (an array for dry runs)
+   * @returns {string} Short description
+   */
+  describeTenantResult(command, result) {
+    if (command === 'status') {
+      const count = state => result.migrations.filter(migration => migration.state === state).length;
+      return `${count('applied')} applied, ${count('pending') + count('out-of-order')} pending`;
+    }
+    const count = Array.isArray(result) ? result.length : result.migrations.length;
+    return `${count} migration(s) ${command === 'up' ? 'applied' : 'rolled back'}`;
+  }
+
   /**
    * Initializes the migration system by creating the migrations table and directory
    * @throws {Error} If database connection or table creation fails
    */
   async init() {
+    this.assertSingleTenant('init');
     await this.adapter.connect();
     await this.adapter.createMigrationsTable(this.config.tableName);
     const migrationsDir = this.config.migrationsDir;
     await fs.mkdir(migrationsDir, { recursive: true });
-    console.log(`✓ Checkpoint initialized`);
+    this.logger.info(`✓ Checkpoint initialized`);
+  }
+
+  /**
+   * Runs a migration step inside a transaction unless the migration opts out
+   * by exporting `transaction = false` (e.g. for CREATE INDEX CONCURRENTLY)
+   * @private
+   * @param {Object} migration - Loaded migration module
+   * @param {Function} callback - Async function that applies the step and updates the tracking table
+   * @param {Object} [adapter=this.adapter] - Adapter to open the transaction on
+   * @returns {Promise<*>} Value returned by the callback
+   */
+  async runMigrationStep(migration, callback, adapter = this.adapter) {
+    if (migration.transaction === false) {
+      return callback();
+    }
+    return adapter.transaction(callback);
   }
 
   /**
-   * Runs all pending migrations
-   * @throws {Error} If migration execution fails
+   * Resolves the timeouts of a migration: its own `lockTimeout` and
+   * `statementTimeout` exports, falling back to the config
+   * @private
+   * @param {Object} migration - Loaded migration module
+   * @param {string} name - Migration filename (used in error messages)
+   * @returns {{lockTimeout?: number, statementTimeout?: number}} Timeouts in milliseconds
+   * @throws {Error} If the migration exports an invalid timeout
    */
-  async up() {
+  getTimeouts(migration, name) {
+    const timeouts = {};
+    for (const option of MIGRATION_TIMEOUTS) {
+      const value = migration[option] !== undefined ? migration[option] : this.config[option];
+      if (value === undefined) {
+        continue;
+      }
+      if (!(Number.isInteger(value) && value >= 0)) {
+        throw new Error(`${name} exports an invalid ${option}; it must be a non-negative integer (milliseconds)`);
+      }
+      timeouts[option] = value;
+    }
+    return timeouts;
+  }
+
+  /**
+   * Runs a migration step with the migration's timeouts applied. If it fails
+   * on the lock timeout, it is retried up to `lockTimeoutRetries` times,
+   * waiting `lockTimeoutBackoff` (doubled after each attempt) in between.
+   * Migrations that opt out of transactions are not retried, since part of
+   * them may already have run; neither is anything on MySQL, whose DDL
+   * commits implicitly (see the adapters' canRetry).
+   * @private
+   * @param {string} name - Migration filename
+   * @param {Object} migration - Loaded migration module
+   * @param {Function} callback - Async function that applies the step and updates the tracking table
+   * @throws {Error} If the step fails, or still hits the lock timeout after the last retry
+   */
+  async executeMigration(name, migration, callback) {
+    const timeouts = this.getTimeouts(migration, name);
+    const retries = this.config.lockTimeoutRetries ?? DEFAULT_CONFIG.lockTimeoutRetries;
+    const backoff = this.config.lockTimeoutBackoff ?? DEFAULT_CONFIG.lockTimeoutBackoff;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.runMigrationStep(migration, () => this.adapter.withTimeouts(timeouts, callback));
+      } catch (err) {
+        if (attempt > retries || migration.transaction === false || !this.adapter.canRetry(err)) {
+          throw err;
+        }
+        const delay = backoff * 2 ** (attempt - 1);
+        this.logger.warn(`⚠ ${name} timed out waiting for a lock; retrying in ${delay}ms (attempt ${attempt + 1} of ${retries + 1})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Connects and runs a callback while holding the migration lock, so
+   * concurrent runners cannot apply the same migration twice
+   * @private
+   * @param {Function} callback - Async function to run under the lock
+   * @returns {Promise<*>} Value returned by the callback
+   * @throws {Error} If the lock cannot be acquired within lockWaitTimeout
+   */
+  async withLock(callback) {
+    const { tableName } = this.config;
+    const timeout = this.config.lockWaitTimeout ?? DEFAULT_CONFIG.lockWaitTimeout;
+
     await this.adapter.connect();
-    const executed = await this.adapter.getMigrations(this.config.tableName);
+    try {
+      await this.adapter.acquireLock(tableName, timeout);
+      let result;
+      try {
+        // Also upgrades tracking tables created by older versions
+        await this.adapter.createMigrationsTable(tableName);
+        result = await callback();
+      } catch (err) {
+        await this.releaseLockAfterError(tableName);
+        throw err;
+      }
+      await this.adapter.releaseLock(tableName);
+      return result;
+    } finally {
+      await this.adapter.close();
+    }
+  }
+
+  /**
+   * Releases the migration lock after a failed run. A release failure (e.g.
+   * on a terminated connection) is only logged, so it does not hide the
+   * error that ended the run.
+   * @private
+   * @param {string} tableName - Name of the migrations table
+   */
+  async releaseLockAfterError(tableName) {
+    try {
+      await this.adapter.releaseLock(tableName);
+    } catch (err) {
+      this.logger.warn(`⚠ Could not release the migration lock: ${err.message}`);
+    }
+  }
+
+  /**
+   * Runs one migration, emitting its lifecycle events and timing it. The
+   * outcome, failed or not, is appended to `results`.
+   * @private
+   * @param {string} name - Migration filename
+   * @param {string} direction - 'up' or 'down'
+   * @param {Object[]} results - Outcomes of the current run
+   * @param {Function} callback - Async function that runs the migration
+   * @throws {Error} If the callback fails
+   */
+  async trackMigration(name, direction, results, callback) {
+    this.emit('migration:start', { name, direction });
+    const started = Date.now();
+    try {
+      await callback();
+    } catch (err) {
+      const durationMs = Date.now() - started;
+      results.push({ name, direction, durationMs, error: err.message });
+      this.emit('migration:error', { name, direction, durationMs, error: err });
+      throw err;
+    }
+    const durationMs = Date.now() - started;
+    results.push({ name, direction, durationMs });
+    this.emit('migration:end', { name, direction, durationMs });
+  }
+
+  /**
+   * Calls a hook from the config, if one is set
+   * @private
+   * @param {string} hook - Hook name (one of MIGRATION_HOOKS)
+   * @param {string|string[]} name - Migration filename, or every filename of the run for beforeAll/afterAll
+   * @param {string} direction - 'up' or 'down'
+   * @throws {Error} If the hook fails; the original error is its `cause`
+   */
+  async runHook(hook, name, direction) {
+    const fn = this.config.hooks && this.config.hooks[hook];
+    if (!fn) {
+      return;
+    }
+    try {
+      await fn(this.adapter, name, direction);
+    } catch (err) {
+      // Keep the driver's error code, so a lock timeout in a hook is retried like one in the migration
+      const error = new Error(`${hook} hook failed: ${err.message}`, { cause: err });
+      error.code = err.code;
+      error.errno = err.errno;
+      throw error;
+    }
+  }
+
+  /**
+   * Applies one migration and records it in the tracking table. The
+   * beforeEach and afterEach hooks run in the same transaction, so a failing
+   * hook rolls the migration back. afterEach only runs once the migration
+   * succeeded; for a migration with `transaction = false`, a failing
+   * afterEach leaves it applied and recorded.
+   * @private
+   * @param {string} file - Migration filename
+   * @param {number} batch - Batch number of the current `up` run
+   * @param {Object[]} [results=[]] - Outcomes of the current run
+   * @throws {Error} If the migration or one of its hooks fails
+   */
+  async applyMigration(file, batch, results = []) {
+    const migration = await loadMigration(this.config.migrationsDir, file);
+    const checksum = await computeChecksum(this.config.migrationsDir, file);
+    await this.trackMigration(file, 'up', results, async () => {
+      try {
+        await this.executeMigration(file, migration, async () => {
+          await this.runHook('beforeEach', file, 'up');
+          await migration.up(this.adapter);
+          await this.adapter.recordMigration(this.config.tableName, file, { checksum, batch });
+          await this.runHook('afterEach', file, 'up');
+        });
+      } catch (err) {
+        throw new Error(`Migration ${file} failed: ${err.message}`);
+      }
+    });
+    this.logger.info(`✓ ${file}`);
+  }
+
+  /**
+   * Reverts one migration and removes it from the tracking table. As in
+   * applyMigration(), beforeEach and afterEach share the rollback's
+   * transaction, and afterEach only runs once the rollback succeeded.
+   * @private
+   * @param {string} name - Migration filename
+   * @param {Object[]} [results=[]] - Outcomes of the current run
+   * @throws {Error} If the rollback or one of its hooks fails
+   */
+  async revertMigration(name, results = []) {
+    const migration = await loadMigration(this.config.migrationsDir, name);
+    await this.trackMigration(name, 'down', results, async () => {
+      try {
+        await this.executeMigration(name, migration, async () => {
+          await this.runHook('beforeEach', name, 'down');
+          await migration.down(this.adapter);
+          await this.adapter.removeMigration(this.config.tableName, name);
+          await this.runHook('afterEach', name, 'down');
+        });
+      } catch (err) {
+        throw new Error(`Rollback of ${name} failed: ${err.message}`);
+      }
+    });
+    this.logger.info(`✓ Rolled back ${name}`);
+  }
+
+  /**
+   * Runs a command that applies or rolls back migrations and builds its
+   * result. If the command fails, the partial result is attached to the
+   * error as `err.result`.
+   * @private
+   * @param {string} direction - 'up' or 'down'
+   * @param {Function} callback - Async function receiving the array to collect outcomes in
+   * @returns {Promise<{direction: string, migrations: Object[], durationMs: number}>} Run result
+   * @throws {Error} If the callback fails
+   */
+  async collectResult(direction, callback) {
+    const result = { direction, migrations: [], durationMs: 0 };
+    const started = Date.now();
+    try {
+      await callback(result.migrations);
+    } catch (err) {
+      err.result = result;
+      throw err;
+    } finally {
+      result.durationMs = Date.now() - started;
+    }
+    return result;
+  }
+
+  /**
+   * Returns the tracking rows of the most recent batch. Rows recorded before
+   * batches were tracked have no batch and are treated as batches of one.
+   * @private
+   * @param {Array<{name: string, batch: number|null}>} records - Tracking rows in execution order
+   * @returns {Array<{name: string, batch: number|null}>} Rows of the latest batch in execution order
+   */
+  getLatestBatch(records) {
+    const last = records[records.length - 1];
+    if (last.batch === null || last.batch === undefined) {
+      return [last];
+    }
+    return records.filter(record => record.batch === last.batch);
+  }
+
+  /**
+   * Resolves a user-supplied migration reference to a filename. A reference
+   * can be the full filename, the filename without extension, or the
+   * timestamp prefix.
+   * @private
+   * @param {string} target - Migration reference
+   * @param {string[]} candidates - Filenames to search
+   * @param {string} [label='Migration'] - Noun used in error messages
+   * @returns {string} Matching filename
+   * @throws {Error} If no migration or more than one migration matches
+   */
+  resolveTarget(target, candidates, label = 'Migration') {
+    const matches = candidates.filter(name =>
+      name === target ||
+      name.replace(/\.(js|sql)$/, '') === target ||
+      name.split('_')[0] === target
+    );
+    if (matches.length === 0) {
+      throw new Error(`${label} not found: ${target}`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Migration reference ${target} is ambiguous: ${matches.join(', ')}`);
+    }
+    return matches[0];
+  }
+
+  /**
+   * Prints the migrations a targeted run is about to touch
+   * @private
+   * @param {string} action - Description of the action ('apply' or 'roll back')
+   * @param {string[]} names - Migration filenames in execution order
+   */
+  printPlan(action, names) {
+    this.logger.info(`Will ${action} ${names.length} migration(s):`);
+    names.forEach(name => this.logger.info(`  → ${name}`));
+  }
+
+  /**
+   * Returns the batch number for the next `up` run
+   * @private
+   * @param {Array<{batch: number|null}>} records - Current tracking rows
+   * @returns {number} Next batch number
+   */
+  getNextBatch(records) {
+    return Math.max(0, ...records.map(record => record.batch || 0)) + 1;
+  }
+
+  /**
+   * Applies migrations in order as a new batch, between the beforeAll and
+   * afterAll hooks
+   * @private
+   * @param {string[]} files - Migration filenames in execution order
+   * @param {Array<{batch: number|null}>} records - Current tracking rows
+   * @param {Object[]} [results=[]] - Outcomes of the current run
+   * @returns {Promise<string[]>} Applied filenames
+   * @throws {Error} If a migration fails
+   */
+  async applyMigrations(files, records, results = []) {
+    const batch = this.getNextBatch(records);
+    await this.runHook('beforeAll', files, 'up');
+    for (const file of files) {
+      await this.applyMigration(file, batch, results);
+    }
+    await this.runHook('afterAll', files, 'up');
+    return files;
+  }
+
+  /**
+   * Selects the pending migrations an `up` run should apply
+   * @private
+   * @param {Array<{name: string}>} records - Tracking rows
+   * @param {string[]} files - Migration files on disk
+   * @param {Object} options - Migration options (see up())
+   * @returns {string[]} Filenames to apply, in execution order
+   * @throws {Error} If the target does not exist, or the outOfOrder policy refuses a migration
+   */
+  selectPending(records, files, options) {
+    const executed = records.map(record => record.name);
+    let pending = files.filter(f => !executed.includes(f));
+    if (options.to) {
+      const target = this.resolveTarget(options.to, files);
+      pending = pending.filter(f => f <= target);
+    }
+    this.checkOutOfOrder(records, pending);
+    return pending;
+  }
+
+  /**
+   * Finds pending migrations that sort before the newest applied one, such
+   * as an older migration merged from a long-lived branch
+   * @private
+   * @param {Array<{name: string}>} records - Tracking rows
+   * @param {string[]} pending - Pending migration files
+   * @returns {string[]} Pending files older than the newest applied migration
+   */
+  findOutOfOrder(records, pending) {
+    const newest = this.getNewestApplied(records);
+    return newest ? pending.filter(f => f < newest) : [];
+  }
+
+  /**
+   * Returns the applied migration that sorts last
+   * @private
+   * @param {Array<{name: string}>} records - Tracking rows
+   * @returns {string|null} Filename, or null if nothing is applied
+   */
+  getNewestApplied(records) {
+    return records.reduce((newest, record) => (newest === null || record.name > newest ? record.name : newest), null);
+  }
+
+  /**
+   * Applies the `outOfOrder` policy to the migrations about to run
+   * @private
+   * @param {Array<{name: string}>} records - Tracking rows
+   * @param {string[]} pending - Migrations about to run
+   * @throws {Error} If the policy is 'error' and any of them is out of order
+   */
+  checkOutOfOrder(records, pending) {
+    const outOfOrder = this.findOutOfOrder(records, pending);
+    const policy = this.config.outOfOrder ?? DEFAULT_CONFIG.outOfOrder;
+    if (outOfOrder.length === 0 || policy === 'allow') {
+      return;
+    }
+
+    const newest = this.getNewestApplied(records);
+    if (policy === 'error') {
+      throw new Error(
+        `${outOfOrder.length} pending migration(s) are older than the newest applied migration ${newest}: ` +
+        `${outOfOrder.join(', ')}. Give them a newer timestamp, or set outOfOrder to 'warn' or 'allow' to run them anyway`
+      );
+    }
+    this.logger.warn(`⚠ Running ${outOfOrder.length} migration(s) out of order (older than ${newest}):`);
+    outOfOrder.forEach(f => this.logger.warn(`  → ${f}`));
+  }
+
+  /**
+   * Runs pending migrations; the caller must hold the migration lock
+   * @private
+   * @param {Object} options - Migration options (see up())
+   * @param {Object[]} [results=[]] - Outcomes of the current run
+   * @returns {Promise<string[]>} Applied filenames
+   * @throws {Error} If the target does not exist or migration execution fails
+   */
+  async migrateUp(options, results = []) {
+    const records = await this.adapter.getMigrationRecords(this.config.tableName);
     const files = await scanMigrations(this.config.migrationsDir);
-    const pending = files.filter(f => !executed.includes(f));
+    const pending = this.selectPending(records, files, options);
+
+    await this.backfillChecksums(records, files);
 
     if (pending.length === 0) {
-      console.log('No pending migrations');
-      await this.adapter.close();
-      return;
+      this.logger.info(options.to ? `No pending migrations up to ${options.to}` : 'No pending migrations');
+      return [];
+    }
+    if (options.to) {
+      this.printPlan('apply', pending);
     }
 
-    for (const file of pending) {
-      const migration = await loadMigration(this.config.migrationsDir, file);
-      await migration.up(this.adapter);
-      await this.adapter.recordMigration(this.config.tableName, file);
-      console.log(`✓ ${file}`);
+    return this.applyMigrations(pending, records, results);
+  }
+
+  /**
+   * Runs pending migrations as one batch. Each migration and its
+   * tracking-table record are committed in a single transaction. With
+   * `autoDumpSchema` set, the schema file is rewritten afterwards.
+   * @param {Object} [options] - Migration options
+   * @param {string} [options.to] - Stop after this migration (filename, name without extension, or timestamp)
+   * @param {boolean} [options.dryRun=false] - Print the SQL the run would execute instead of running it
+   * @param {boolean} [options.failFast=false] - In tenant mode, stop after the first tenant that fails
+   * @returns {Promise<{direction: string, migrations: Array<{name: string, direction: string, durationMs: number, error?: string}>, durationMs: number}>}
+   *   Applied migrations with their durations (the dry-run plan when `dryRun` is set). In tenant mode,
+   *   `{ tenants: [{ name, result }] }`, where a failed tenant has `error` instead of `result`.
+   * @throws {Error} If the target does not exist or migration execution fails; `err.result` holds what ran before the failure
+   */
+  async up(options = {}) {
+    if (this.config.tenants) {
+      return this.runForTenants('up', options);
     }
+    if (options.dryRun) {
+      return this.dryRun('up', options);
+    }
+    return this.collectResult('up', migrations => this.withLock(async () => {
+      const applied = await this.migrateUp(options, migrations);
+      if (applied.length > 0 && this.config.autoDumpSchema) {
+        await this.writeSchemaFile();
+      }
+    }));
+  }
 
-    await this.adapter.close();
+  /**
+   * Selects the executed migrations a rollback should revert
+   * @private
+   * @param {Array<{name: string, batch: number|null}>} records - Tracking rows in execution order
+   * @param {Object} options - Rollback options (see down())
+   * @returns {Array<{name: string, batch: number|null}>} Rows to revert, in execution order
+   * @throws {Error} If the options are invalid or the target is not applied
+   */
+  selectRollbackTargets(records, options) {
+    const modes = ['batch', 'to', 'steps'].filter(key => options[key] !== undefined && options[key] !== false);
+    if (modes.length > 1) {
+      throw new Error(`Options ${modes.map(key => `--${key}`).join(' and ')} cannot be combined`);
+    }
+
+    if (options.batch) {
+      return this.getLatestBatch(records);
+    }
+
+    if (options.to) {
+      const target = this.resolveTarget(options.to, records.map(record => record.name), 'Applied migration');
+      const index = records.findIndex(record => record.name === target);
+      return records.slice(index + 1);
+    }
+
+    if (options.steps !== undefined) {
+      const steps = Number(options.steps);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('Steps must be a positive integer');
+      }
+      if (steps > records.length) {
+        throw new Error(`Cannot roll back ${steps} migration(s): only ${records.length} applied`);
+      }
+      return records.slice(-steps);
+    }
+
+    return records.slice(-1);
+  }
+
+  /**
+   * Rolls back executed migrations; the caller must hold the migration lock
+   * @private
+   * @param {Object} options - Rollback options (see down())
+   * @param {Object[]} [results=[]] - Outcomes of the current run
+   * @returns {Promise<string[]>} Reverted filenames, in the order they were reverted
+   * @throws {Error} If the options are invalid or rollback fails
+   */
+  async migrateDown(options, results = []) {
+    const records = await this.adapter.getMigrationRecords(this.config.tableName);
+
+    if (records.length === 0) {
+      this.logger.info('No migrations to rollback');
+      return [];
+    }
+
+    const targets = this.selectRollbackTargets(records, options).reverse().map(record => record.name);
+    if (targets.length === 0) {
+      this.logger.info(`No migrations applied after ${options.to}`);
+      return [];
+    }
+    this.assertFilesExist(targets, await scanMigrations(this.config.migrationsDir));
+    if (options.to || options.steps !== undefined) {
+      this.printPlan('roll back', targets);
+    }
+
+    await this.runHook('beforeAll', targets, 'down');
+    for (const name of targets) {
+      await this.revertMigration(name, results);
+    }
+    await this.runHook('afterAll', targets, 'down');
+    return targets;
+  }
+
+  /**
+   * Returns the tracking rows whose migration file is no longer on disk
+   * (deleted or renamed after it ran)
+   * @private
+   * @param {Array<{name: string}>} records - Tracking rows
+   * @param {string[]} files - Migration files on disk
+   * @returns {string[]} Names of the orphaned rows, in execution order
+   */
+  findOrphans(records, files) {
+    return records.map(record => record.name).filter(name => !files.includes(name));
+  }
+
+  /**
+   * Refuses to roll back migrations whose files are missing, since their
+   * down() cannot be loaded
+   * @private
+   * @param {string[]} names - Migrations about to be rolled back
+   * @param {string[]} files - Migration files on disk
+   * @throws {Error} If any of the files is missing
+   */
+  assertFilesExist(names, files) {
+    const missing = names.filter(name => !files.includes(name));
+    if (missing.length > 0) {
+      throw new Error(
+        `Cannot roll back ${missing.join(', ')}: migration file(s) missing from ${this.config.migrationsDir}. ` +
+        `Restore them, or run 'checkpoint prune' to remove their tracking rows`
+      );
+    }
   }
 
   /**
-   * Rolls back the last executed migration
-   * @throws {Error} If rollback fails
+   * Rolls back the last executed migration, or a range of them in reverse
+   * order. Each rollback and the removal of its tracking-table record are
+   * committed in a single transaction.
+   * @param {Object} [options] - Rollback options (at most one of batch, to, steps)
+   * @param {boolean} [options.batch=false] - Roll back the whole latest batch
+   * @param {string} [options.to] - Roll back everything applied after this migration
+   * @param {number} [options.steps] - Roll back this many migrations
+   * @param {boolean} [options.dryRun=false] - Print the SQL the rollback would execute instead of running it
+   * @param {boolean} [options.failFast=false] - In tenant mode, stop after the first tenant that fails
+   * @returns {Promise<{direction: string, migrations: Array<{name: string, direction: string, durationMs: number, error?: string}>, durationMs: number}>}
+   *   Reverted migrations with their durations (the dry-run plan when `dryRun` is set). In tenant mode, the result of each tenant (see up()).
+   * @throws {Error} If the options are invalid or rollback fails; `err.result` holds what ran before the failure
    */
-  async down() {
+  async down(options = {}) {
+    if (this.config.tenants) {
+      return this.runForTenants('down', options);
+    }
+    if (options.dryRun) {
+      return this.dryRun('down', options);
+    }
+    return this.collectResult('down', migrations => this.withLock(() => this.migrateDown(options, migrations)));
+  }
+
+  /**
+   * Prints the SQL an `up` or `down` run would execute, without touching the
+   * database. Migrations are run against a RecordingAdapter that captures
+   * every statement, including the tracking-table writes.
+   * @private
+   * @param {string} direction - 'up' or 'down'
+   * @param {Object} options - Options passed to up() or down()
+   * @returns {Promise<Array<{name: string, direction: string, statements: string[]}>>} Captured statements per migration
+   * @throws {Error} If a migration cannot be loaded or fails while recording
+   */
+  async dryRun(direction, options) {
+    const { tableName, migrationsDir } = this.config;
+
     await this.adapter.connect();
-    const executed = await this.adapter.getMigrations(this.config.tableName);
-    
-    if (executed.length === 0) {
-      console.log('No migrations to rollback');
+    try {
+      const records = await this.adapter.hasMigrationsTable(tableName)
+        ? await this.adapter.getMigrationRecords(tableName)
+        : [];
+
+      let names;
+      if (direction === 'up') {
+        names = this.selectPending(records, await scanMigrations(migrationsDir), options);
+      } else {
+        names = records.length > 0
+          ? this.selectRollbackTargets(records, options).reverse().map(record => record.name)
+          : [];
+        this.assertFilesExist(names, await scanMigrations(migrationsDir));
+      }
+
+      if (names.length === 0) {
+        this.logger.info(`Dry run: no migrations to ${direction === 'up' ? 'apply' : 'roll back'}`);
+        return [];
+      }
+
+      const batch = this.getNextBatch(records);
+      const plan = [];
+      for (const name of names) {
+        const migration = await loadMigration(migrationsDir, name);
+        const recorder = new RecordingAdapter(this.config.database.type);
+        await this.runMigrationStep(migration, async () => {
+          if (direction === 'up') {
+            await migration.up(recorder);
+            const checksum = await computeChecksum(migrationsDir, name);
+            await recorder.recordMigration(tableName, name, { checksum, batch });
+          } else {
+            await migration.down(recorder);
+            await recorder.removeMigration(tableName, name);
+          }
+        }, recorder);
+
+        this.logger.info(`\n-- ${name} (${direction})`);
+        recorder.statements.forEach(statement => this.logger.info(`${statement};`));
+        plan.push({ name, direction, statements: recorder.statements });
+      }
+
+      this.logger.info('\nDry run: no changes were made');
+      return plan;
+    } finally {
       await this.adapter.close();
-      return;
     }
+  }
 
-    const last = executed[executed.length - 1];
-    const migration = await loadMigration(this.config.migrationsDir, last);
-    await migration.down(this.adapter);
-    await this.adapter.removeMigration(this.config.tableName, last);
-    console.log(`✓ Rolled back ${last}`);
-    await this.adapter.close();
+  /**
+   * Reverts the last migration (or the last N) and applies it again, under a
+   * single lock. Handy while iterating on a migration locally.
+   * @param {Object} [options] - Redo options
+   * @param {number} [options.steps=1] - Number of migrations to redo
+   * @throws {Error} If the rollback or the re-apply fails
+   */
+  async redo(options = {}) {
+    this.assertSingleTenant('redo');
+    await this.withLock(async () => {
+      const reverted = await this.migrateDown({ steps: options.steps ?? 1 });
+      if (reverted.length === 0) {
+        return;
+      }
+      const records = await this.adapter.getMigrationRecords(this.config.tableName);
+      await this.applyMigrations([...reverted].reverse(), records);
+    });
+  }
+
+  /**
+   * Rolls back every executed migration in reverse order, then applies all
+   * migrations again, under a single lock
+   * @throws {Error} If a rollback or a migration fails
+   */
+  async reset() {
+    this.assertSingleTenant('reset');
+    await this.withLock(async () => {
+      const records = await this.adapter.getMigrationRecords(this.config.tableName);
+      if (records.length > 0) {
+        await this.migrateDown({ steps: records.length });
+      }
+      await this.migrateUp({});
+    });
   }
 
   /**
-   * Displays the status of all migrations (executed and pending)
+   * Clears a stale migration lock left behind by a runner that hung or lost
+   * its connection. The session holding the lock is terminated.
+   * @throws {Error} If the holder cannot be terminated
+   */
+  async unlock() {
+    this.assertSingleTenant('unlock');
+    await this.adapter.connect();
+    try {
+      const holder = await this.adapter.forceUnlock(this.config.tableName);
+      if (holder) {
+        this.logger.info(`✓ Released migration lock held by ${holder}`);
+      } else {
+        this.logger.info('Migration lock is not held');
+      }
+    } finally {
+      await this.adapter.close();
+    }
+  }
+
+  /**
+   * Removes tracking rows whose migration files no longer exist. Their schema
+   * changes stay in place; only the rows are forgotten.
+   * @param {Object} [options] - Prune options
+   * @param {boolean} [options.yes=false] - Skip the confirmation
+   * @param {Function} [options.confirm] - Async callback receiving the orphaned names; resolve to true to proceed
+   * @returns {Promise<string[]>} Names of the removed rows
+   * @throws {Error} If neither `yes` nor `confirm` is given
+   */
+  async prune(options = {}) {
+    this.assertSingleTenant('prune');
+    let pruned = [];
+    await this.withLock(async () => {
+      const records = await this.adapter.getMigrationRecords(this.config.tableName);
+      const orphans = this.findOrphans(records, await scanMigrations(this.config.migrationsDir));
+      if (orphans.length === 0) {
+        this.logger.info('No tracking rows without a migration file');
+        return;
+      }
+
+      this.logger.info(`${orphans.length} applied migration(s) have no file in ${this.config.migrationsDir}:`);
+      orphans.forEach(name => this.logger.info(`  ✗ ${name}`));
+
+      if (!options.yes) {
+        if (!options.confirm) {
+          throw new Error('Pruning needs confirmation; pass --yes to remove the rows without a prompt');
+        }
+        if (!(await options.confirm(orphans))) {
+          this.logger.info('Nothing pruned');
+          return;
+        }
+      }
+
+      for (const name of orphans) {
+        await this.adapter.removeMigration(this.config.tableName, name);
+      }
+      this.logger.info(`✓ Pruned ${orphans.length} tracking row(s)`);
+      pruned = orphans;
+    });
+    return pruned;
+  }
+
+  /**
+   * Stores checksums for migrations applied before checksums were tracked,
+   * using the current file contents
+   * @private
+   * @param {Array<{name: string, checksum: string|null}>} records - Tracking rows
+   * @param {string[]} files - Migration files on disk
+   */
+  async backfillChecksums(records, files) {
+    for (const record of records) {
+      if (record.checksum || !files.includes(record.name)) {
+        continue;
+      }
+      const checksum = await computeChecksum(this.config.migrationsDir, record.name);
+      await this.adapter.updateChecksum(this.config.tableName, record.name, checksum);
+    }
+  }
+
+  /**
+   * Compares the stored checksum of each executed migration with its file
+   * @private
+   * @param {Array<{name: string, checksum: string|null}>} records - Tracking rows
+   * @param {string[]} files - Migration files on disk
+   * @returns {Promise<string[]>} Names of executed migrations whose files changed
+   */
+  async findModifiedMigrations(records, files) {
+    const modified = [];
+    for (const record of records) {
+      if (!record.checksum || !files.includes(record.name)) {
+        continue;
+      }
+      const checksum = await computeChecksum(this.config.migrationsDir, record.name);
+      if (checksum !== record.checksum) {
+        modified.push(record.name);
+      }
+    }
+    return modified;
+  }
+
+  /**
+   * Displays the status of all migrations (executed and pending), flagging
+   * executed migrations whose files were edited after they ran or are gone.
+   * Pending migrations older than the newest applied one are listed separately.
+   * @returns {Promise<{migrations: Array<{name: string, state: string, batch: number|null, executedAt: Date|null}>}>}
+   *   Every migration in display order. `state` is 'applied', 'modified', 'missing', 'pending' or 'out-of-order'.
+   *   In tenant mode, the result of each tenant (see up()).
+   * @param {Object} [options] - Status options
+   * @param {boolean} [options.failFast=false] - In tenant mode, stop after the first tenant that fails
    * @throws {Error} If unable to read migration status
    */
-  async status() {
+  async status(options = {}) {
+    if (this.config.tenants) {
+      return this.runForTenants('status', options);
+    }
     await this.adapter.connect();
-    const executed = await this.adapter.getMigrations(this.config.tableName);
-    const files = await scanMigrations(this.config.migrationsDir);
-    const pending = files.filter(f => !executed.includes(f));
+    try {
+      // Read-only: creating or upgrading the tracking table is left to up and down, which hold the lock
+      const records = await this.adapter.hasMigrationsTable(this.config.tableName)
+        ? await this.adapter.getMigrationRecords(this.config.tableName)
+        : [];
+      const executed = records.map(record => record.name);
+      const files = await scanMigrations(this.config.migrationsDir);
+      const outOfOrder = this.findOutOfOrder(records, files.filter(f => !executed.includes(f)));
+      const pending = files.filter(f => !executed.includes(f) && !outOfOrder.includes(f));
+      const modified = await this.findModifiedMigrations(records, files);
+      const orphans = this.findOrphans(records, files);
 
-    console.log('\nExecuted:');
-    executed.forEach(f => console.log(`  ✓ ${f}`));
-    console.log('\nPending:');
-    pending.forEach(f => console.log(`  ○ ${f}`));
+      const migrations = [];
 
-    await this.adapter.close();
+      this.logger.info('\nExecuted:');
+      let currentBatch;
+      records.forEach(({ name, batch, executedAt }) => {
+        if (batch !== currentBatch) {
+          currentBatch = batch;
+          this.logger.info(batch === null ? '  Before batch tracking:' : `  Batch ${batch}:`);
+        }
+        let state = 'applied';
+        if (orphans.includes(name)) {
+          state = 'missing';
+          this.logger.info(`    ✗ ${name} (file missing)`);
+        } else if (modified.includes(name)) {
+          state = 'modified';
+          this.logger.info(`    ✗ ${name} (modified after it was applied)`);
+        } else {
+          this.logger.info(`    ✓ ${name}`);
+        }
+        migrations.push({ name, state, batch, executedAt });
+      });
+      this.logger.info('\nPending:');
+      pending.forEach(f => {
+        this.logger.info(`  ○ ${f}`);
+        migrations.push({ name: f, state: 'pending', batch: null, executedAt: null });
+      });
+      if (outOfOrder.length > 0) {
+        this.logger.info('\nOut of order (older than the newest applied migration):');
+        outOfOrder.forEach(f => {
+          this.logger.info(`  ⚠ ${f}`);
+          migrations.push({ name: f, state: 'out-of-order', batch: null, executedAt: null });
+        });
+      }
+      return { migrations };
+    } finally {
+      await this.adapter.close();
+    }
+  }
+
+  /**
+   * Reports whether the database is up to date without changing it, so
+   * pipelines can gate deploys on the result. Unlike status(), a missing
+   * tracking table is reported as its own state.
+   * @returns {Promise<{state: string, pending: string[]}>} `state` is 'up-to-date', 'pending' or 'missing-table'
+   * @throws {Error} If the database cannot be read
+   */
+  async check() {
+    this.assertSingleTenant('check');
+    const { tableName } = this.config;
+    await this.adapter.connect();
+    try {
+      if (!(await this.adapter.hasMigrationsTable(tableName))) {
+        this.logger.warn(`✗ Tracking table ${tableName} does not exist; run 'checkpoint up' to create it`);
+        return { state: 'missing-table', pending: [] };
+      }
+
+      const executed = await this.adapter.getMigrations(tableName);
+      const pending = (await scanMigrations(this.config.migrationsDir)).filter(f => !executed.includes(f));
+      if (pending.length > 0) {
+        this.logger.info(`○ ${pending.length} pending migration(s):`);
+        pending.forEach(f => this.logger.info(`  ○ ${f}`));
+        return { state: 'pending', pending };
+      }
+
+      this.logger.info('✓ Database is up to date');
+      return { state: 'up-to-date', pending };
+    } finally {
+      await this.adapter.close();
+    }
+  }
+
+  /**
+   * Verifies that no executed migration was edited after it ran
+   * @throws {Error} If any executed migration's file no longer matches its stored checksum
+   */
+  async verify() {
+    this.assertSingleTenant('verify');
+    await this.adapter.connect();
+    try {
+      const records = await this.adapter.hasMigrationsTable(this.config.tableName)
+        ? await this.adapter.getMigrationRecords(this.config.tableName)
+        : [];
+      const files = await scanMigrations(this.config.migrationsDir);
+      const modified = await this.findModifiedMigrations(records, files);
+
+      if (modified.length > 0) {
+        modified.forEach(f => this.logger.info(`  ✗ ${f}`));
+        throw new Error(`${modified.length} applied migration(s) were modified after they ran`);
+      }
+
+      const unverified = records.filter(record => !record.checksum).length;
+      if (unverified > 0) {
+        this.logger.warn(`⚠ ${unverified} migration(s) have no stored checksum; run 'checkpoint up' to record them`);
+      }
+      this.logger.info('✓ All applied migrations match their files');
+    } finally {
+      await this.adapter.close();
+    }
+  }
+
+  /**
+   * Compares the live schema with the one the applied migrations produce,
+   * to catch manual changes made outside of migrations. The applied
+   * migrations are replayed into a scratch schema (a temporary PostgreSQL
+   * schema, MySQL database or in-memory SQLite database) that is dropped
+   * afterwards. For PostgreSQL and MySQL the scratch schema lives on the
+   * `shadowDatabase`, so migrations never run a second time against the
+   * live database.
+   * @returns {Promise<Object[]>} Differences found (empty when the schemas match)
+   * @throws {Error} If any difference is found, the expected schema cannot be built, or no separate shadow database is configured
+   */
+  async drift() {
+    this.assertSingleTenant('drift');
+    const { tableName, migrationsDir } = this.config;
+    const shadowHost = this.initAdapter(this.getShadowDatabaseConfig());
+
+    let differences;
+    await this.adapter.connect();
+    try {
+      const records = await this.adapter.hasMigrationsTable(tableName)
+        ? await this.adapter.getMigrationRecords(tableName)
+        : [];
+      const files = await scanMigrations(migrationsDir);
+      const missing = records.filter(record => !files.includes(record.name));
+      if (missing.length > 0) {
+        throw new Error(
+          `Cannot build the expected schema: ${missing.length} applied migration(s) have no file ` +
+          `(${missing.map(record => record.name).join(', ')})`
+        );
+      }
+
+      await shadowHost.connect();
+      try {
+        const shadow = await shadowHost.createShadow();
+        try {
+          for (const { name } of records) {
+            const migration = await loadMigration(migrationsDir, name);
+            try {
+              await this.runMigrationStep(migration, () => migration.up(shadow.adapter), shadow.adapter);
+            } catch (err) {
+              throw new Error(`Replaying ${name} to build the expected schema failed: ${err.message}`);
+            }
+          }
+          const expected = await shadow.adapter.getSchema(tableName);
+          const actual = await this.adapter.getSchema(tableName);
+          differences = diffSchemas(expected, actual);
+        } finally {
+          await shadow.drop();
+        }
+      } finally {
+        await shadowHost.close();
+      }
+    } finally {
+      await this.adapter.close();
+    }
+
+    if (differences.length === 0) {
+      this.logger.info('✓ Database schema matches the migrations');
+      return differences;
+    }
+
+    this.logger.info(`\nSchema drift (- expected but missing, + not from migrations, ~ changed):`);
+    differences.forEach(difference => this.logger.info(`  ${formatDifference(difference)}`));
+    throw new Error(`Schema drift detected: ${differences.length} difference(s) between the database and its migrations`);
+  }
+
+  /**
+   * Returns the configuration of the database drift builds its scratch
+   * schema on. SQLite replays into memory unless told otherwise; PostgreSQL
+   * and MySQL need an explicit `shadowDatabase`, because migrations may
+   * create extensions, roles or data that reach beyond one schema.
+   * @private
+   * @returns {Object} Resolved database configuration
+   * @throws {Error} If no shadow database is configured, or it is the live database
+   */
+  getShadowDatabaseConfig() {
+    const { database, shadowDatabase } = this.config;
+    if (!shadowDatabase) {
+      if (database.type === 'sqlite') {
+        return { type: 'sqlite', filename: ':memory:' };
+      }
+      throw new Error(
+        `drift needs a shadowDatabase: a separate ${database.type} database to replay the migrations into. ` +
+        'It never replays them on the database it checks'
+      );
+    }
+
+    const sameDatabase = database.type === 'sqlite'
+      ? shadowDatabase.filename === database.filename && database.filename !== ':memory:'
+      : ['host', 'port', 'database'].every(key => shadowDatabase[key] === database[key]);
+    if (sameDatabase) {
+      throw new Error('shadowDatabase must not be the database drift checks');
+    }
+
+    // Replay with the live schema settings, so migrations resolve names the same way
+    if (database.type === 'postgres') {
+      return { schema: database.schema, searchPath: database.searchPath, ...shadowDatabase };
+    }
+    return shadowDatabase;
+  }
+
+  /**
+   * Writes the schema of the migrated database, and the list of applied
+   * migrations, to the schema file
+   * @throws {Error} If the database cannot be read or the file cannot be written
+   */
+  async dumpSchema() {
+    this.assertSingleTenant('schema:dump');
+    await this.adapter.connect();
+    try {
+      await this.writeSchemaFile();
+    } finally {
+      await this.adapter.close();
+    }
+  }
+
+  /**
+   * Writes the schema file using the open connection
+   * @private
+   * @returns {Promise<string>} Path of the written file
+   */
+  async writeSchemaFile() {
+    const { tableName } = this.config;
+    const statements = await this.adapter.dumpSchema(tableName);
+    const records = await this.adapter.hasMigrationsTable(tableName)
+      ? await this.adapter.getMigrationRecords(tableName)
+      : [];
+
+    const file = resolveSchemaFile(this.config);
+    await fs.writeFile(file, renderSchemaFile(statements, tableName, records));
+    this.logger.info(`✓ Schema written to ${file}`);
+    return file;
+  }
+
+  /**
+   * Builds an empty database from the schema file instead of replaying every
+   * migration, and marks the migrations it contains as applied
+   * @throws {Error} If the schema file is missing, the database is not empty, or a statement fails
+   */
+  async loadSchema() {
+    this.assertSingleTenant('schema:load');
+    const { tableName } = this.config;
+    const file = resolveSchemaFile(this.config);
+
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        throw new Error(`Schema file not found: ${file}. Run 'checkpoint schema:dump' first.`);
+      }
+      throw err;
+    }
+
+    await this.withLock(async () => {
+      const tables = await this.adapter.listTables(tableName);
+      const records = await this.adapter.getMigrationRecords(tableName);
+      if (tables.length > 0 || records.length > 0) {
+        throw new Error(
+          `schema:load only builds empty databases, but this one has ${tables.length} table(s) ` +
+          `and ${records.length} applied migration(s)`
+        );
+      }
+
+      await this.adapter.transaction(async () => {
+        for (const statement of splitStatements(content)) {
+          await this.adapter.execute(statement);
+        }
+      });
+
+      const loaded = await this.adapter.getMigrationRecords(tableName);
+      this.logger.info(`✓ Loaded ${file} (${loaded.length} migration(s) marked as applied)`);
+    });
+  }
+
+  /**
+   * Returns the directory seed files live in
+   * @private
+   * @returns {string} Seeds directory
+   */
+  getSeedsDir() {
+    return this.config.seedsDir || path.join(path.dirname(this.config.migrationsDir), 'seeds');
+  }
+
+  /**
+   * Runs seed files in timestamp order. Seeds exporting `once = true` run a
+   * single time per database and are tracked in `<tableName>_seeds`; all
+   * others run on every call. Seeds exporting `environments` only run in
+   * those environments.
+   * @param {Object} [options] - Seed options
+   * @param {string[]} [options.only] - Run only these seeds (filename, name without extension, timestamp, or the name after the timestamp)
+   * @returns {Promise<string[]>} Seeds that ran
+   * @throws {Error} If a requested seed does not exist, or a seed fails
+   */
+  async seed(options = {}) {
+    this.assertSingleTenant('seed:run');
+    const seedsDir = this.getSeedsDir();
+    const seedsTable = `${this.config.tableName}_seeds`;
+    const environment = this.config.environment || process.env.NODE_ENV || 'development';
+
+    let files = await scanSeeds(seedsDir);
+    if (options.only && options.only.length > 0) {
+      const selected = options.only.map(ref => {
+        const matches = files.filter(file => {
+          const name = file.replace(/\.js$/, '');
+          return file === ref || name === ref || name.split('_')[0] === ref || name.slice(name.indexOf('_') + 1) === ref;
+        });
+        if (matches.length === 0) {
+          throw new Error(`Seed not found: ${ref}`);
+        }
+        return matches;
+      });
+      files = files.filter(file => selected.flat().includes(file));
+    }
+
+    const ran = [];
+    await this.withLock(async () => {
+      // Seeds run once are tracked in a table laid out like the migrations table
+      await this.adapter.createMigrationsTable(seedsTable);
+      const done = await this.adapter.getMigrations(seedsTable);
+
+      for (const file of files) {
+        const seed = await loadSeed(seedsDir, file);
+        if (seed.environments && !seed.environments.includes(environment)) {
+          this.logger.info(`○ ${file} (not for ${environment})`);
+          continue;
+        }
+        if (seed.once && done.includes(file)) {
+          this.logger.info(`○ ${file} (already run)`);
+          continue;
+        }
+
+        try {
+          await this.runMigrationStep(seed, async () => {
+            await seed.run(this.adapter);
+            if (seed.once) {
+              await this.adapter.recordMigration(seedsTable, file);
+            }
+          });
+        } catch (err) {
+          throw new Error(`Seed ${file} failed: ${err.message}`);
+        }
+        this.logger.info(`✓ ${file}`);
+        ran.push(file);
+      }
+    });
+
+    if (files.length === 0) {
+      this.logger.info('No seeds to run');
+    }
+    return ran;
+  }
+
+  /**
+   * Creates a new seed file with a timestamp prefix
+   * @param {string} name - Name of the seed (alphanumeric and underscores only)
+   * @returns {Promise<string>} Created filename
+   * @throws {Error} If name is invalid or file creation fails
+   */
+  async createSeed(name) {
+    if (!name || typeof name !== 'string' || !/^[a-zA-Z0-9_]+$/.test(name)) {
+      throw new Error('Seed name is required and can only contain letters, numbers, and underscores');
+    }
+
+    const seedsDir = this.getSeedsDir();
+    const filename = generateMigrationFilename(name);
+    const template = `/**
+ * Seed: ${name}
+ * Created: ${new Date().toISOString()}
+ */
+
+// Run this seed only once per database (tracked in ${this.config.tableName}_seeds).
+// When false, it runs on every 'checkpoint seed:run', so keep it idempotent.
+export const once = false;
+
+// Only run in these environments (default: all)
+// export const environments = ['development', 'test'];
+
+export async function run(adapter) {
+  // Write your seed here
+  // Example: await adapter.query('INSERT INTO roles (name) VALUES (?)', ['admin']);
+}
+`;
+
+    await fs.mkdir(seedsDir, { recursive: true });
+    await fs.writeFile(path.join(seedsDir, filename), template);
+    this.logger.info(`✓ Created ${filename}`);
+    return filename;
   }
 
   /**
    * Creates a new migration file with a timestamp prefix
    * @param {string} name - Name of the migration (alphanumeric and underscores only)
+   * @param {Object} [options] - Creation options
+   * @param {boolean} [options.sql=false] - Write a plain SQL migration instead of a JS module
    * @throws {Error} If name is invalid or file creation fails
    */
-  async create(name) {
+  async create(name, options = {}) {
     if (!name || typeof name !== 'string' || name.trim() === '') {
       throw new Error('Migration name is required');
     }
@@ -157,10 +1501,20 @@ export class Migrator {
       throw new Error('Migration name can only contain letters, numbers, and underscores');
     }
 
-    const filename = generateMigrationFilename(name);
+    const filename = generateMigrationFilename(name, options.sql ? 'sql' : 'js');
     const filepath = path.join(this.config.migrationsDir, filename);
 
-    const template = `/**
+    const template = options.sql ? `-- Migration: ${name}
+-- Created: ${new Date().toISOString()}
+
+-- +migrate Up
+-- Write your migration here
+-- Example: CREATE TABLE users (id SERIAL PRIMARY KEY, name VARCHAR(255));
+
+-- +migrate Down
+-- Write your rollback here
+-- Example: DROP TABLE users;
+` : `/**
  * Migration: ${name}
  * Created: ${new Date().toISOString()}
  */
@@ -178,6 +1532,6 @@ export async function down(adapter) {
 
     await fs.mkdir(this.config.migrationsDir, { recursive: true });
     await fs.writeFile(filepath, template);
-    console.log(`✓ Created ${filename}`);
+    this.logger.info(`✓ Created ${filename}`);
   }
 }
\ No newline at end of file
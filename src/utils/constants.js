@@ -2,11 +2,32 @@
  * Application-wide constants
  */
 
-export const SUPPORTED_DATABASES = ['postgres', 'mysql'];
+export const SUPPORTED_DATABASES = ['postgres', 'mysql', 'sqlite'];
 
 export const DEFAULT_CONFIG = {
   tableName: 'schema_migrations',
   migrationsDir: './migrations',
+  lockWaitTimeout: 60000,
+  outOfOrder: 'warn',
+  tenantConcurrency: 1,
+  lockTimeoutRetries: 3,
+  lockTimeoutBackoff: 1000,
+};
+
+// Timeouts a migration can set by exporting them, overriding the config
+export const MIGRATION_TIMEOUTS = ['lockTimeout', 'statementTimeout'];
+
+// What `up` does with pending migrations older than the newest applied one
+export const OUT_OF_ORDER_POLICIES = ['error', 'warn', 'allow'];
+
+// Config hooks called around `up` and `down` runs and each migration in them
+export const MIGRATION_HOOKS = ['beforeAll', 'afterAll', 'beforeEach', 'afterEach'];
+
+// Tracking-table columns added after the first release. Adapters add any
+// that are missing to existing tables, so migration history is kept.
+export const TRACKING_TABLE_COLUMNS = {
+  checksum: 'VARCHAR(64)',
+  batch: 'INT',
 };
 
 export const DATABASE_PORTS = {
@@ -15,7 +36,7 @@ export const DATABASE_PORTS = {
 };
 
 export const VALIDATION_PATTERNS = {
-  tableName: /^[a-zA-Z_][a-zA-Z0-9_]*$/,
+  tableName: /^([a-zA-Z_][a-zA-Z0-9_]*\.)?[a-zA-Z_][a-zA-Z0-9_]*$/,
   migrationName: /^[a-zA-Z0-9_]+$/,
 };
 
@@ -24,7 +45,7 @@ export const ERROR_MESSAGES = {
   DATABASE_CONFIG_REQUIRED: 'Database configuration is required',
   MIGRATIONS_DIR_REQUIRED: 'Migrations directory is required',
   TABLE_NAME_REQUIRED: 'Table name is required',
-  INVALID_TABLE_NAME: 'Invalid table name. Must start with a letter or underscore and contain only alphanumeric characters and underscores',
+  INVALID_TABLE_NAME: 'Invalid table name. Must start with a letter or underscore and contain only alphanumeric characters and underscores, optionally qualified with a schema (schema.table)',
   UNSUPPORTED_DB_TYPE: (type) => `Unsupported database type: ${type}. Supported types: ${SUPPORTED_DATABASES.join(', ')}`,
   MIGRATION_NAME_REQUIRED: 'Migration name is required',
   INVALID_MIGRATION_NAME: 'Migration name can only contain letters, numbers, and underscores',
@@ -1,9 +1,15 @@
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 import { pathToFileURL } from 'url';
+import { parseSqlMigration } from './sql-migration.js';
+import { toReversibleMigration } from './reversible.js';
+
+const MIGRATION_EXTENSIONS = ['.js', '.sql'];
 
 /**
- * Scans the migrations directory and returns a sorted list of migration files
+ * Scans the migrations directory and returns a sorted list of migration files.
+ * JS and SQL migrations are sorted together by their timestamp prefix.
  * @param {string} migrationsDir - Path to the migrations directory
  * @returns {Promise<string[]>} Sorted array of migration filenames
  * @throws {Error} If migrations directory does not exist
@@ -11,7 +17,7 @@ import { pathToFileURL } from 'url';
 export async function scanMigrations(migrationsDir) {
   try {
     const files = await fs.readdir(migrationsDir);
-    return files.filter(file => file.endsWith('.js')).sort();
+    return files.filter(file => MIGRATION_EXTENSIONS.includes(path.extname(file))).sort();
   } catch (err) {
     if (err.code === 'ENOENT') {
       throw new Error(`Migrations directory not found: ${migrationsDir}`);
@@ -21,7 +27,43 @@ export async function scanMigrations(migrationsDir) {
 }
 
 /**
- * Dynamically loads a migration module from the filesystem
+ * Scans the seeds directory and returns the seed files in timestamp order
+ * @param {string} seedsDir - Path to the seeds directory
+ * @returns {Promise<string[]>} Sorted array of seed filenames
+ * @throws {Error} If the seeds directory does not exist
+ */
+export async function scanSeeds(seedsDir) {
+  try {
+    const files = await fs.readdir(seedsDir);
+    return files.filter(file => path.extname(file) === '.js').sort();
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error(`Seeds directory not found: ${seedsDir}. Create a seed with 'checkpoint seed:create <name>'`);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Loads a seed module from the filesystem
+ * @param {string} seedsDir - Path to the seeds directory
+ * @param {string} filename - Name of the seed file
+ * @returns {Promise<{run: Function, once?: boolean, environments?: string[], transaction?: boolean}>} Seed module
+ * @throws {Error} If the seed cannot be loaded or does not export run()
+ */
+export async function loadSeed(seedsDir, filename) {
+  const module = await import(pathToFileURL(path.resolve(seedsDir, filename)).href);
+  const seed = module.default || module;
+  if (typeof seed.run !== 'function') {
+    throw new Error(`Seed ${filename} does not export a run() function`);
+  }
+  return seed;
+}
+
+/**
+ * Dynamically loads a migration module from the filesystem. SQL files are
+ * parsed into a module whose up/down functions execute each statement, and
+ * modules exporting change() get an up/down pair derived from it.
  * @param {string} migrationsDir - Path to the migrations directory
  * @param {string} filename - Name of the migration file
  * @returns {Promise<{up: Function, down: Function}>} Migration module with up and down functions
@@ -29,17 +71,68 @@ export async function scanMigrations(migrationsDir) {
  */
 export async function loadMigration(migrationsDir, filename) {
   const filepath = path.resolve(migrationsDir, filename);
+  if (path.extname(filename) === '.sql') {
+    return loadSqlMigration(filepath, filename);
+  }
   const fileUrl = pathToFileURL(filepath).href;
   const module = await import(fileUrl);
-  return module.default || module;
+  const migration = module.default || module;
+  if (typeof migration.change === 'function') {
+    return toReversibleMigration(migration, filename);
+  }
+  return migration;
+}
+
+/**
+ * Loads a SQL migration file as a migration module
+ * @private
+ * @param {string} filepath - Absolute path to the SQL file
+ * @param {string} filename - Name of the migration file
+ * @returns {Promise<{up: Function, down: Function, transaction: boolean}>} Migration module
+ * @throws {Error} If the file cannot be read or parsed
+ */
+async function loadSqlMigration(filepath, filename) {
+  const content = await fs.readFile(filepath, 'utf8');
+  const sections = parseSqlMigration(content, filename);
+
+  return {
+    transaction: sections.transaction,
+    async up(adapter) {
+      for (const statement of sections.up) {
+        await adapter.execute(statement);
+      }
+    },
+    async down(adapter) {
+      if (!sections.down) {
+        throw new Error(`${filename} has no '-- +migrate Down' section`);
+      }
+      for (const statement of sections.down) {
+        await adapter.execute(statement);
+      }
+    },
+  };
+}
+
+/**
+ * Computes the content hash stored with each applied migration. Line endings
+ * are normalized so a checkout with CRLF endings does not count as an edit.
+ * @param {string} migrationsDir - Path to the migrations directory
+ * @param {string} filename - Name of the migration file
+ * @returns {Promise<string>} Hex-encoded SHA-256 of the file contents
+ * @throws {Error} If the file cannot be read
+ */
+export async function computeChecksum(migrationsDir, filename) {
+  const content = await fs.readFile(path.resolve(migrationsDir, filename), 'utf8');
+  return crypto.createHash('sha256').update(content.replace(/\r\n/g, '\n')).digest('hex');
 }
 
 /**
  * Generates a timestamped migration filename
  * @param {string} name - Base name for the migration
+ * @param {string} [extension='js'] - File extension ('js' or 'sql')
  * @returns {string} Filename in format: YYYYMMDDHHmmss_name.js
  */
-export function generateMigrationFilename(name) {
+export function generateMigrationFilename(name, extension = 'js') {
   const timestamp = new Date().toISOString().replace(/[-:T.Z]/g, '').slice(0, 14);
-  return `${timestamp}_${name}.js`;
+  return `${timestamp}_${name}.${extension}`;
 }
\ No newline at end of file
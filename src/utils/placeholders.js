@@ -0,0 +1,92 @@
+/**
+ * Bind-parameter placeholder translation
+ * @module utils/placeholders
+ *
+ * Migrations write `?` placeholders for every backend. MySQL and SQLite
+ * understand them natively; PostgreSQL needs numbered `$1, $2, ...`, and
+ * `??` stands for a literal `?` there (the JSONB `?`, `?|` and `?&` operators).
+ */
+
+/**
+ * Rewrites `?` placeholders as PostgreSQL `$n` placeholders, and `??` as `?`
+ * @param {string} sql - SQL with `?` placeholders
+ * @returns {{sql: string, count: number}} Rewritten SQL and the number of placeholders
+ */
+export function toNumberedPlaceholders(sql) {
+  return replacePlaceholders(sql, index => `$${index + 1}`, { escapes: true });
+}
+
+/**
+ * Replaces each `?` placeholder with the output of a callback. Question marks
+ * inside string literals, quoted identifiers, comments and dollar-quoted
+ * bodies are left untouched.
+ * @param {string} sql - SQL with `?` placeholders
+ * @param {Function} replace - Called with the zero-based placeholder index; returns the replacement text
+ * @param {Object} [options] - Translation options
+ * @param {boolean} [options.escapes=false] - Treat `??` as an escaped literal `?` (PostgreSQL)
+ * @returns {{sql: string, count: number}} Rewritten SQL and the number of placeholders
+ */
+export function replacePlaceholders(sql, replace, { escapes = false } = {}) {
+  let result = '';
+  let count = 0;
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+    let stop = i + 1;
+
+    if (char === '-' && next === '-') {
+      const end = sql.indexOf('\n', i);
+      stop = end === -1 ? sql.length : end;
+    } else if (char === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      stop = end === -1 ? sql.length : end + 2;
+    } else if (char === "'" || char === '"') {
+      const end = findClosingQuote(sql, i, char);
+      stop = end === -1 ? sql.length : end + 1;
+    } else if (char === '$') {
+      const tag = sql.slice(i).match(/^\$[a-zA-Z_]*\$/);
+      if (tag) {
+        const end = sql.indexOf(tag[0], i + tag[0].length);
+        stop = end === -1 ? sql.length : end + tag[0].length;
+      }
+    } else if (char === '?' && next === '?' && escapes) {
+      result += '?';
+      i += 2;
+      continue;
+    } else if (char === '?') {
+      result += replace(count);
+      count++;
+      i++;
+      continue;
+    }
+
+    result += sql.slice(i, stop);
+    i = stop;
+  }
+
+  return { sql: result, count };
+}
+
+/**
+ * Finds the closing quote of a literal, skipping doubled-quote escapes
+ * @private
+ * @param {string} sql - SQL text
+ * @param {number} start - Index of the opening quote
+ * @param {string} quote - Quote character
+ * @returns {number} Index of the closing quote, or -1 if unterminated
+ */
+function findClosingQuote(sql, start, quote) {
+  let i = start + 1;
+  while (i < sql.length) {
+    if (sql[i] === quote && sql[i + 1] === quote) {
+      i += 2;
+    } else if (sql[i] === quote) {
+      return i;
+    } else {
+      i++;
+    }
+  }
+  return -1;
+}
@@ -0,0 +1,137 @@
+/**
+ * Support for migrations that export a single `change(adapter)` function
+ * @module utils/reversible
+ *
+ * `up` runs change() as written. `down` runs change() against a recorder
+ * that only notes which schema operations it would perform, then replays
+ * their inverses in reverse order.
+ */
+
+/**
+ * Schema builder methods a change() migration may call
+ * @private
+ */
+const SCHEMA_OPERATIONS = [
+  'createTable',
+  'dropTable',
+  'addColumn',
+  'dropColumn',
+  'renameColumn',
+  'addIndex',
+  'dropIndex',
+  'addForeignKey',
+  'dropForeignKey',
+];
+
+/**
+ * Inverse of each reversible operation, as [method, args]. A null result
+ * means the call lacks the information needed to undo it.
+ * @private
+ */
+const INVERSES = {
+  createTable: ([table]) => ['dropTable', [table]],
+  addColumn: ([table, column]) => ['dropColumn', [table, column]],
+  dropColumn: ([table, column, type, options]) => (type ? ['addColumn', [table, column, type, options]] : null),
+  renameColumn: ([table, from, to]) => ['renameColumn', [table, to, from]],
+  addIndex: ([table, columns, options = {}]) => ['dropIndex', [table, columns, { name: options.name }]],
+  dropIndex: ([table, columns, options]) => (columns ? ['addIndex', [table, columns, options]] : null),
+  addForeignKey: ([table, columns, , , options = {}]) => ['dropForeignKey', [table, columns, { name: options.name }]],
+};
+
+/**
+ * Why an operation cannot be inverted, for error messages
+ * @private
+ */
+const IRREVERSIBLE_REASONS = {
+  execute: 'raw execute()',
+  query: 'query()',
+  dropTable: 'dropTable(), which does not know the table definition',
+  dropColumn: 'dropColumn() without a column type',
+  dropIndex: 'dropIndex() without its columns',
+  dropForeignKey: 'dropForeignKey(), which does not know the referenced table',
+};
+
+/**
+ * Stand-in adapter that records the operations of a change() migration
+ * without running them
+ */
+export class ChangeRecorder {
+  /**
+   * Creates an empty recorder
+   */
+  constructor() {
+    this.operations = [];
+    this.schema = {};
+    for (const method of SCHEMA_OPERATIONS) {
+      this.schema[method] = async (...args) => {
+        this.operations.push({ method, args });
+      };
+    }
+  }
+
+  /**
+   * Records raw SQL, which cannot be reversed
+   * @param {string} sql - SQL statement
+   */
+  async execute(sql) {
+    this.operations.push({ method: 'execute', args: [sql] });
+  }
+
+  /**
+   * Records a parameterized query, which cannot be reversed
+   * @param {string} sql - SQL statement
+   * @param {Array} [params=[]] - Bound values
+   * @returns {Promise<Object[]>} Always an empty array
+   */
+  async query(sql, params = []) {
+    this.operations.push({ method: 'query', args: [sql, params] });
+    return [];
+  }
+
+  /**
+   * Computes the operations that undo the recorded ones, in the order they
+   * must run
+   * @returns {Array<{method: string, args: Array}>} Inverse operations
+   * @throws {Error} If any recorded operation cannot be inverted
+   */
+  inverse() {
+    const inverses = this.operations.map(({ method, args }) => {
+      const inverse = INVERSES[method] ? INVERSES[method](args) : null;
+      if (!inverse) {
+        throw new Error(
+          `change() cannot be reversed automatically because it uses ${IRREVERSIBLE_REASONS[method]}. ` +
+          `Export up() and down() instead`
+        );
+      }
+      return { method: inverse[0], args: inverse[1] };
+    });
+    return inverses.reverse();
+  }
+}
+
+/**
+ * Turns a module exporting change() into a regular up/down migration
+ * @param {Object} migration - Migration module
+ * @param {string} filename - Name of the migration file (used in error messages)
+ * @returns {Object} Migration module with up and down functions
+ * @throws {Error} If the module also exports up or down
+ */
+export function toReversibleMigration(migration, filename) {
+  if (migration.up || migration.down) {
+    throw new Error(`${filename} exports change() together with up()/down(); export one or the other`);
+  }
+
+  return {
+    ...migration,
+    async up(adapter) {
+      await migration.change(adapter);
+    },
+    async down(adapter) {
+      const recorder = new ChangeRecorder();
+      await migration.change(recorder);
+      for (const { method, args } of recorder.inverse()) {
+        await adapter.schema[method](...args);
+      }
+    },
+  };
+}
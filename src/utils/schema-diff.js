@@ -0,0 +1,82 @@
+/**
+ * Comparison of introspected schemas, used by `checkpoint drift`
+ * @module utils/schema-diff
+ *
+ * Schemas come from an adapter's getSchema(): per table, maps of column,
+ * index and constraint names to their definitions.
+ */
+
+const OBJECT_KINDS = [
+  ['columns', 'column'],
+  ['indexes', 'index'],
+  ['constraints', 'constraint'],
+];
+
+/**
+ * Sorted union of the keys of two objects
+ * @private
+ * @param {Object} a - First object
+ * @param {Object} b - Second object
+ * @returns {string[]} Keys present in either object
+ */
+function allKeys(a, b) {
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+}
+
+/**
+ * Lists every difference between the schema the migrations produce and the
+ * live one
+ * @param {Object} expected - Schema produced by replaying the migrations
+ * @param {Object} actual - Schema of the live database
+ * @returns {Array<{type: string, object: string, table: string, name?: string, expected?: string, actual?: string}>} Differences, sorted by table and object
+ */
+export function diffSchemas(expected, actual) {
+  const differences = [];
+
+  for (const table of allKeys(expected, actual)) {
+    if (!actual[table]) {
+      differences.push({ type: 'missing', object: 'table', table });
+      continue;
+    }
+    if (!expected[table]) {
+      differences.push({ type: 'unexpected', object: 'table', table });
+      continue;
+    }
+
+    for (const [key, object] of OBJECT_KINDS) {
+      const want = expected[table][key];
+      const have = actual[table][key];
+      for (const name of allKeys(want, have)) {
+        if (!(name in have)) {
+          differences.push({ type: 'missing', object, table, name, expected: want[name] });
+        } else if (!(name in want)) {
+          differences.push({ type: 'unexpected', object, table, name, actual: have[name] });
+        } else if (want[name] !== have[name]) {
+          differences.push({ type: 'changed', object, table, name, expected: want[name], actual: have[name] });
+        }
+      }
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Formats a difference for the drift report
+ * @param {Object} difference - Entry returned by diffSchemas()
+ * @returns {string} Human-readable description, prefixed with -, + or ~
+ */
+export function formatDifference(difference) {
+  const target = difference.name
+    ? `${difference.object} ${difference.table}.${difference.name}`
+    : `table ${difference.table}`;
+
+  switch (difference.type) {
+    case 'missing':
+      return `- ${target} is missing from the database${difference.expected ? ` (expected: ${difference.expected})` : ''}`;
+    case 'unexpected':
+      return `+ ${target} is not created by any migration${difference.actual ? ` (found: ${difference.actual})` : ''}`;
+    default:
+      return `~ ${target} differs\n      expected: ${difference.expected}\n      found:    ${difference.actual}`;
+  }
+}
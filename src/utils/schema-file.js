@@ -0,0 +1,61 @@
+/**
+ * Reading and writing the schema dump produced by `checkpoint schema:dump`
+ * @module utils/schema-file
+ */
+
+import path from 'path';
+
+const SCHEMA_FILE_NAME = 'schema.sql';
+
+/**
+ * Resolves where the schema dump lives: `config.schemaFile`, or schema.sql
+ * next to the migrations directory
+ * @param {Object} config - Migrator configuration
+ * @returns {string} Path to the schema file
+ */
+export function resolveSchemaFile(config) {
+  return config.schemaFile || path.join(path.dirname(config.migrationsDir), SCHEMA_FILE_NAME);
+}
+
+/**
+ * Formats a tracking-table value as a SQL literal
+ * @private
+ * @param {string|number|null} value - Value to format
+ * @returns {string} SQL literal
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Renders the schema file. Tracking rows are written without their
+ * timestamps, so the file only changes when the schema or the set of
+ * applied migrations does.
+ * @param {string[]} statements - DDL statements from the adapter's dumpSchema()
+ * @param {string} tableName - Name of the migrations table
+ * @param {Array<{name: string, checksum: string|null, batch: number|null}>} records - Tracking rows in execution order
+ * @returns {string} File contents
+ */
+export function renderSchemaFile(statements, tableName, records) {
+  const sections = [
+    '-- Schema generated by `checkpoint schema:dump` from the migrated database.\n' +
+    '-- Do not edit by hand. Load it into an empty database with `checkpoint schema:load`.',
+    ...statements.map(statement => `${statement};`),
+  ];
+
+  if (records.length > 0) {
+    const inserts = records.map(record =>
+      `INSERT INTO ${tableName} (name, checksum, batch) VALUES ` +
+      `(${formatValue(record.name)}, ${formatValue(record.checksum)}, ${formatValue(record.batch)});`
+    );
+    sections.push(`-- Applied migrations\n${inserts.join('\n')}`);
+  }
+
+  return `${sections.join('\n\n')}\n`;
+}
@@ -0,0 +1,197 @@
+/**
+ * Parser for plain SQL migration files
+ * @module utils/sql-migration
+ *
+ * A SQL migration is split into sections by marker comments:
+ *
+ *   -- +migrate Up
+ *   CREATE TABLE users (id SERIAL PRIMARY KEY);
+ *
+ *   -- +migrate Down
+ *   DROP TABLE users;
+ *
+ * Statements are split on semicolons outside of strings, comments and
+ * dollar-quoted bodies. A block wrapped in `-- +migrate StatementBegin` /
+ * `-- +migrate StatementEnd` is kept as a single statement (useful for
+ * procedural code with inner semicolons). Adding `notransaction` to a
+ * section marker runs the migration outside a transaction.
+ */
+
+const MARKER_PATTERN = /^\s*--\s*\+migrate\s+(\S+)(.*)$/i;
+
+/**
+ * Splits a chunk of SQL into individual statements
+ * @param {string} sql - SQL text containing zero or more statements
+ * @returns {string[]} Trimmed, non-empty statements without trailing semicolons
+ */
+export function splitStatements(sql) {
+  const statements = [];
+  let current = '';
+  let i = 0;
+
+  const push = () => {
+    const statement = current.trim();
+    if (statement && !isOnlyComments(statement)) {
+      statements.push(statement);
+    }
+    current = '';
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if (char === '-' && next === '-') {
+      const end = sql.indexOf('\n', i);
+      const stop = end === -1 ? sql.length : end;
+      current += sql.slice(i, stop);
+      i = stop;
+    } else if (char === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      const stop = end === -1 ? sql.length : end + 2;
+      current += sql.slice(i, stop);
+      i = stop;
+    } else if (char === "'" || char === '"' || char === '`') {
+      const stop = findQuoteEnd(sql, i, char);
+      current += sql.slice(i, stop);
+      i = stop;
+    } else if (char === '$') {
+      const tag = sql.slice(i).match(/^\$[a-zA-Z_]*\$/);
+      if (tag) {
+        const end = sql.indexOf(tag[0], i + tag[0].length);
+        const stop = end === -1 ? sql.length : end + tag[0].length;
+        current += sql.slice(i, stop);
+        i = stop;
+      } else {
+        current += char;
+        i++;
+      }
+    } else if (char === ';') {
+      push();
+      i++;
+    } else {
+      current += char;
+      i++;
+    }
+  }
+
+  push();
+  return statements;
+}
+
+/**
+ * Finds the index just past the closing quote, honoring doubled-quote escapes
+ * and backslash escapes
+ * @private
+ * @param {string} sql - SQL text
+ * @param {number} start - Index of the opening quote
+ * @param {string} quote - Quote character
+ * @returns {number} Index after the closing quote
+ */
+function findQuoteEnd(sql, start, quote) {
+  let i = start + 1;
+  while (i < sql.length) {
+    if (sql[i] === '\\') {
+      i += 2;
+    } else if (sql[i] === quote && sql[i + 1] === quote) {
+      i += 2;
+    } else if (sql[i] === quote) {
+      return i + 1;
+    } else {
+      i++;
+    }
+  }
+  return sql.length;
+}
+
+/**
+ * Whether a statement consists solely of comments
+ * @private
+ * @param {string} statement - Trimmed statement
+ * @returns {boolean} True if nothing executable remains once comments are stripped
+ */
+function isOnlyComments(statement) {
+  return statement
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .split('\n')
+    .every(line => line.trim() === '' || line.trim().startsWith('--'));
+}
+
+/**
+ * Parses the contents of a SQL migration file
+ * @param {string} content - File contents
+ * @param {string} filename - Name of the file (used in error messages)
+ * @returns {{up: string[], down: string[]|null, transaction: boolean}} Statements per direction
+ * @throws {Error} If the file has no Up section or unbalanced statement blocks
+ */
+export function parseSqlMigration(content, filename) {
+  const sections = { up: null, down: null };
+  let transaction = true;
+  let direction = null;
+  let buffer = [];
+  let block = null;
+
+  const flush = () => {
+    const statements = splitStatements(buffer.join('\n'));
+    if (direction) {
+      sections[direction].push(...statements);
+    } else if (statements.length > 0) {
+      throw new Error(`Invalid SQL migration ${filename}: statements found before '-- +migrate Up'`);
+    }
+    buffer = [];
+  };
+
+  for (const line of content.split(/\r?\n/)) {
+    const marker = line.match(MARKER_PATTERN);
+    if (!marker) {
+      (block || buffer).push(line);
+      continue;
+    }
+
+    const keyword = marker[1].toLowerCase();
+    const modifiers = marker[2].trim().toLowerCase().split(/\s+/);
+
+    if (keyword === 'up' || keyword === 'down') {
+      if (block) {
+        throw new Error(`Invalid SQL migration ${filename}: missing '-- +migrate StatementEnd'`);
+      }
+      if (sections[keyword]) {
+        throw new Error(`Invalid SQL migration ${filename}: duplicate '-- +migrate ${marker[1]}' section`);
+      }
+      flush();
+      direction = keyword;
+      sections[direction] = [];
+      if (modifiers.includes('notransaction')) {
+        transaction = false;
+      }
+    } else if (keyword === 'statementbegin') {
+      if (!direction || block) {
+        throw new Error(`Invalid SQL migration ${filename}: unexpected '-- +migrate StatementBegin'`);
+      }
+      flush();
+      block = [];
+    } else if (keyword === 'statementend') {
+      if (!block) {
+        throw new Error(`Invalid SQL migration ${filename}: '-- +migrate StatementEnd' without StatementBegin`);
+      }
+      const statement = block.join('\n').trim().replace(/;\s*$/, '');
+      if (statement) {
+        sections[direction].push(statement);
+      }
+      block = null;
+    } else {
+      throw new Error(`Invalid SQL migration ${filename}: unknown marker '-- +migrate ${marker[1]}'`);
+    }
+  }
+
+  if (block) {
+    throw new Error(`Invalid SQL migration ${filename}: missing '-- +migrate StatementEnd'`);
+  }
+  flush();
+
+  if (!sections.up) {
+    throw new Error(`Invalid SQL migration ${filename}: missing '-- +migrate Up' section`);
+  }
+
+  return { up: sections.up, down: sections.down, transaction };
+}
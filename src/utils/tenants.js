@@ -0,0 +1,68 @@
+/**
+ * Tenant mode: running the same migrations against many schemas or databases
+ * @module utils/tenants
+ */
+
+/**
+ * Resolves the tenant list of a config, calling it first if it is a function
+ * @param {Object} config - Migration config
+ * @param {Array<Object>|Function} config.tenants - Tenants, or an async function returning them
+ * @returns {Promise<Array<{name: string}>>} Tenants in the order given
+ * @throws {Error} If the list is not an array, or a tenant has no name or a duplicate name
+ */
+export async function resolveTenants(config) {
+  const tenants = typeof config.tenants === 'function' ? await config.tenants() : config.tenants;
+  if (!Array.isArray(tenants)) {
+    throw new Error('tenants must be an array, or a function returning one');
+  }
+
+  const names = new Set();
+  for (const tenant of tenants) {
+    if (!tenant || typeof tenant.name !== 'string' || tenant.name === '') {
+      throw new Error('Every tenant needs a name');
+    }
+    if (names.has(tenant.name)) {
+      throw new Error(`Duplicate tenant name: ${tenant.name}`);
+    }
+    names.add(tenant.name);
+  }
+  return tenants;
+}
+
+/**
+ * Builds the config of a single tenant. The tenant's settings override the
+ * shared ones, and its `database` settings are merged into the shared
+ * database config (a tenant `database` with a `url`, or given as a URL
+ * string, replaces it).
+ * @param {Object} config - Migration config with its environment and `database` resolved
+ * @param {Object} tenant - Tenant entry
+ * @param {string} tenant.name - Tenant name
+ * @param {Object|string} [tenant.database] - Database settings for this tenant, or a connection URL
+ * @returns {Object} Config for a Migrator running only this tenant
+ */
+export function tenantConfig(config, tenant) {
+  // The environment is already resolved, and the tenant's Migrator would reject it without the map
+  const { tenants, tenantConcurrency, environment, ...shared } = config;
+  const { name, database: tenantDatabase, ...overrides } = tenant;
+  const database = typeof tenantDatabase === 'string' ? { url: tenantDatabase } : tenantDatabase;
+  return {
+    ...shared,
+    ...overrides,
+    database: database && database.url ? database : { ...shared.database, ...database },
+  };
+}
+
+/**
+ * Finds a tenant by name
+ * @param {Array<{name: string}>} tenants - Resolved tenants
+ * @param {string} name - Tenant name
+ * @returns {Object} Matching tenant
+ * @throws {Error} If no tenant has that name
+ */
+export function findTenant(tenants, name) {
+  const tenant = tenants.find(candidate => candidate.name === name);
+  if (!tenant) {
+    throw new Error(`Tenant not found: ${name}. Defined tenants: ${tenants.map(t => t.name).join(', ')}`);
+  }
+  return tenant;
+}
@@ -65,6 +65,14 @@ export async function down(adapter) {
   return filename;
 }
 
+async function createRawMigration(dir, name, content) {
+  await fs.mkdir(dir, { recursive: true });
+  const timestamp = Date.now().toString().padStart(14, '0');
+  const filename = `${timestamp}_${name}.js`;
+  await fs.writeFile(path.join(dir, filename), content);
+  return filename;
+}
+
 // PostgreSQL Integration Tests
 console.log('\n' + '='.repeat(60));
 console.log('PostgreSQL Integration Tests');
@@ -80,6 +88,22 @@ try {
     await adapter.close();
   });
 
+  await test('PostgreSQL: Create the shadow database for drift', async () => {
+    const adapter = new PostgresAdapter(pgConfig.database);
+    await adapter.connect();
+
+    const shadowName = pgConfig.shadowDatabase.database;
+    const existing = await adapter.query('SELECT 1 FROM pg_database WHERE datname = ?', [shadowName]);
+    if (existing.length === 0) {
+      await adapter.execute(`CREATE DATABASE ${shadowName}`);
+    }
+    await adapter.close();
+
+    const shadow = new PostgresAdapter(pgConfig.shadowDatabase);
+    assert(await shadow.connect() === true, 'Connected to the shadow database');
+    await shadow.close();
+  });
+
   await test('PostgreSQL: Create migrations tracking table', async () => {
     const adapter = new PostgresAdapter(pgConfig.database);
     await adapter.connect();
@@ -226,6 +250,451 @@ try {
     }
   });
 
+  await test('PostgreSQL: Failed migration is rolled back', async () => {
+    await cleanupMigrations(pgConfig.migrationsDir);
+
+    const migrator = new Migrator(pgConfig);
+    await migrator.init();
+
+    try {
+      await createRawMigration(pgConfig.migrationsDir, 'half_applied', `
+export async function up(adapter) {
+  await adapter.execute('CREATE TABLE pg_test_half (id SERIAL PRIMARY KEY)');
+  await adapter.execute('THIS IS NOT SQL');
+}
+
+export async function down(adapter) {
+  await adapter.execute('DROP TABLE pg_test_half');
+}
+`);
+
+      let failed = false;
+      try {
+        await migrator.up();
+      } catch (err) {
+        failed = true;
+      }
+      assert(failed, 'Migration failure is reported');
+
+      const adapter = new PostgresAdapter(pgConfig.database);
+      await adapter.connect();
+      const tables = await adapter.pool.query(
+        "SELECT table_name FROM information_schema.tables WHERE table_schema = 'public' AND table_name = 'pg_test_half'"
+      );
+      assert(tables.rows.length === 0, 'Partial DDL was rolled back');
+      const executed = await adapter.getMigrations(pgConfig.tableName);
+      assert(!executed.some(name => name.includes('half_applied')), 'Failed migration was not recorded');
+      await adapter.close();
+    } finally {
+      await cleanupMigrations(pgConfig.migrationsDir);
+    }
+  });
+
+  await test('PostgreSQL: Migration can opt out of the transaction', async () => {
+    await cleanupMigrations(pgConfig.migrationsDir);
+
+    const setup = new PostgresAdapter(pgConfig.database);
+    await setup.connect();
+    await setup.execute('CREATE TABLE IF NOT EXISTS pg_test_concurrent (id SERIAL PRIMARY KEY, name VARCHAR(100))');
+    await setup.close();
+
+    const migrator = new Migrator(pgConfig);
+
+    try {
+      await createRawMigration(pgConfig.migrationsDir, 'concurrent_index', `
+export const transaction = false;
+
+export async function up(adapter) {
+  await adapter.execute('CREATE INDEX CONCURRENTLY idx_pg_test_concurrent_name ON pg_test_concurrent (name)');
+}
+
+export async function down(adapter) {
+  await adapter.execute('DROP INDEX CONCURRENTLY idx_pg_test_concurrent_name');
+}
+`);
+
+      await migrator.up();
+
+      const adapter = new PostgresAdapter(pgConfig.database);
+      await adapter.connect();
+      const indexes = await adapter.pool.query(
+        "SELECT indexname FROM pg_indexes WHERE indexname = 'idx_pg_test_concurrent_name'"
+      );
+      assert(indexes.rows.length === 1, 'Index created outside a transaction');
+      await adapter.close();
+
+      await new Migrator(pgConfig).down();
+    } finally {
+      const cleanup = new PostgresAdapter(pgConfig.database);
+      await cleanup.connect();
+      await cleanup.execute('DROP TABLE IF EXISTS pg_test_concurrent');
+      await cleanup.close();
+      await cleanupMigrations(pgConfig.migrationsDir);
+    }
+  });
+
+  await test('PostgreSQL: Data migrations use ? placeholders and read rows', async () => {
+    await cleanupMigrations(pgConfig.migrationsDir);
+    const migrator = new Migrator(pgConfig);
+
+    try {
+      await createRawMigration(pgConfig.migrationsDir, 'backfill_slugs', `
+export async function up(adapter) {
+  await adapter.execute('CREATE TABLE pg_test_slugs (id SERIAL PRIMARY KEY, title TEXT, slug TEXT)');
+  const inserted = await adapter.query('INSERT INTO pg_test_slugs (title) VALUES (?), (?) RETURNING id', ['Hello World', 'What?']);
+  if (inserted.length !== 2) {
+    throw new Error('RETURNING rows missing');
+  }
+  const rows = await adapter.query("SELECT id, title FROM pg_test_slugs WHERE title <> '?' ORDER BY id");
+  for (const row of rows) {
+    await adapter.query('UPDATE pg_test_slugs SET slug = ? WHERE id = ?', [row.title.toLowerCase().replace(/\\W+/g, '-'), row.id]);
+  }
+}
+
+export async function down(adapter) {
+  await adapter.execute('DROP TABLE pg_test_slugs');
+}
+`);
+
+      await migrator.up();
+
+      const adapter = new PostgresAdapter(pgConfig.database);
+      await adapter.connect();
+      const rows = await adapter.query('SELECT slug FROM pg_test_slugs ORDER BY id');
+      assert(rows[0].slug === 'hello-world', 'Update driven by selected rows');
+
+      let message = '';
+      try {
+        await adapter.query('SELECT ? AS a', []);
+      } catch (err) {
+        message = err.message;
+      }
+      assert(message.includes('expects 1 parameter(s)'), 'Parameter count mismatch is reported');
+
+      const [jsonb] = await adapter.query(`SELECT '{"plan": "pro"}'::jsonb ?? ? AS found, '{"a": 1}'::jsonb ??| ? AS any`, ['plan', ['b']]);
+      assert(jsonb.found === true && jsonb.any === false, '?? runs the JSONB ? operators');
+      await adapter.close();
+
+      await new Migrator(pgConfig).down();
+    } finally {
+      await cleanupMigrations(pgConfig.migrationsDir);
+    }
+  });
+
+  await test('PostgreSQL: Schema builder migration runs up and down', async () => {
+    await cleanupMigrations(pgConfig.migrationsDir);
+    const migrator = new Migrator(pgConfig);
+
+    try {
+      await createRawMigration(pgConfig.migrationsDir, 'builder_tables', `
+export async function up(adapter) {
+  await adapter.schema.createTable('pg_test_authors', table => {
+    table.increments('id');
+    table.string('name', { nullable: false });
+    table.timestamp('created_at', { defaultRaw: 'CURRENT_TIMESTAMP' });
+  });
+  await adapter.schema.createTable('pg_test_articles', table => {
+    table.increments('id');
+    table.integer('author_id');
+    table.boolean('published', { default: false });
+  });
+  await adapter.schema.addForeignKey('pg_test_articles', 'author_id', 'pg_test_authors', 'id', { onDelete: 'SET NULL' });
+  await adapter.schema.addIndex('pg_test_articles', ['author_id', 'published'], { unique: true });
+}
+
+export async function down(adapter) {
+  await adapter.schema.dropIndex('pg_test_articles', ['author_id', 'published']);
+  await adapter.schema.dropForeignKey('pg_test_articles', 'author_id');
+  await adapter.schema.dropTable('pg_test_articles');
+  await adapter.schema.dropTable('pg_test_authors');
+}
+`);
+
+      await migrator.up();
+
+      const adapter = new PostgresAdapter(pgConfig.database);
+      await adapter.connect();
+      const constraints = await adapter.query(
+        "SELECT conname FROM pg_constraint WHERE conname = 'fk_pg_test_articles_author_id'"
+      );
+      assert(constraints.length === 1, 'Foreign key added');
+      const indexes = await adapter.query(
+        "SELECT indexname FROM pg_indexes WHERE indexname = 'idx_pg_test_articles_author_id_published'"
+      );
+      assert(indexes.length === 1, 'Index added');
+      await adapter.close();
+
+      await new Migrator(pgConfig).down();
+
+      const check = new PostgresAdapter(pgConfig.database);
+      await check.connect();
+      const tables = await check.query("SELECT tablename FROM pg_tables WHERE tablename LIKE 'pg_test_a%'");
+      assert(tables.length === 0, 'Tables dropped on rollback');
+      await check.close();
+    } finally {
+      await cleanupMigrations(pgConfig.migrationsDir);
+    }
+  });
+
+  await test('PostgreSQL: schema:load rebuilds the dumped schema', async () => {
+    await cleanupMigrations(pgConfig.migrationsDir);
+    const schemaFile = path.join(path.dirname(pgConfig.migrationsDir), 'postgres_schema.sql');
+    const migrator = new Migrator({ ...pgConfig, schemaFile });
+
+    try {
+      await createRawMigration(pgConfig.migrationsDir, 'dump_tables', `
+export async function up(adapter) {
+  await adapter.execute("CREATE TYPE pg_test_status AS ENUM ('draft', 'live')");
+  await adapter.execute(\`
+    CREATE TABLE pg_test_pages (
+      id SERIAL PRIMARY KEY,
+      slug VARCHAR(100) NOT NULL UNIQUE,
+      status pg_test_status DEFAULT 'draft'
+    )
+  \`);
+  await adapter.schema.createTable('pg_test_revisions', table => {
+    table.bigIncrements('id');
+    table.integer('page_id', { nullable: false });
+    table.foreignKey('page_id', 'pg_test_pages', 'id', { onDelete: 'CASCADE' });
+    table.index('page_id');
+  });
+}
+
+export async function down(adapter) {
+  await adapter.execute('DROP TABLE pg_test_revisions, pg_test_pages');
+  await adapter.execute('DROP TYPE pg_test_status');
+}
+`);
+
+      await migrator.up();
+      await migrator.dumpSchema();
+      const dump = await fs.readFile(schemaFile, 'utf8');
+      assert(dump.includes('CREATE TYPE pg_test_status AS ENUM'), 'Enum types are dumped');
+      assert(dump.includes('id serial NOT NULL'), 'Sequence-backed columns are dumped as serial');
+      assert(dump.indexOf('FOREIGN KEY') > dump.lastIndexOf('CREATE TABLE'), 'Foreign keys follow every table');
+
+      const adapter = new PostgresAdapter(pgConfig.database);
+      await adapter.connect();
+      await adapter.execute(`DROP TABLE pg_test_revisions, pg_test_pages, ${pgConfig.tableName}`);
+      await adapter.execute('DROP TYPE pg_test_status');
+      await adapter.close();
+
+      await migrator.loadSchema();
+      await migrator.dumpSchema();
+      assert(await fs.readFile(schemaFile, 'utf8') === dump, 'Loaded database dumps identically');
+
+      await migrator.down();
+    } finally {
+      await fs.rm(schemaFile, { force: true });
+      await cleanupMigrations(pgConfig.migrationsDir);
+    }
+  });
+
+  await test('PostgreSQL: drift compares the live schema with replayed migrations', async () => {
+    await cleanupMigrations(pgConfig.migrationsDir);
+    const migrator = new Migrator(pgConfig);
+
+    try {
+      await createRawMigration(pgConfig.migrationsDir, 'drift_tables', `
+export async function up(adapter) {
+  await adapter.schema.createTable('pg_test_invoices', table => {
+    table.increments('id');
+    table.string('number', { length: 20, nullable: false, unique: true });
+    table.decimal('amount', { default: 0 });
+  });
+}
+
+export async function down(adapter) {
+  await adapter.schema.dropTable('pg_test_invoices');
+}
+`);
+
+      await migrator.up();
+      assert((await migrator.drift()).length === 0, 'No drift right after migrating');
+
+      const adapter = new PostgresAdapter(pgConfig.database);
+      await adapter.connect();
+      await adapter.execute('ALTER TABLE pg_test_invoices ALTER COLUMN number TYPE VARCHAR(40)');
+      await adapter.execute('CREATE INDEX pg_test_invoices_amount ON pg_test_invoices (amount)');
+
+      let message = '';
+      try {
+        await migrator.drift();
+      } catch (err) {
+        message = err.message;
+      }
+      assert(message.includes('2 difference(s)'), 'Changed column type and manual index are reported');
+
+      const liveShadows = await adapter.query("SELECT nspname FROM pg_namespace WHERE nspname LIKE 'checkpoint_shadow_%'");
+      assert(liveShadows.length === 0, 'Migrations are never replayed in the live database');
+      await adapter.close();
+
+      const shadowAdapter = new PostgresAdapter(pgConfig.shadowDatabase);
+      await shadowAdapter.connect();
+      const shadows = await shadowAdapter.query("SELECT nspname FROM pg_namespace WHERE nspname LIKE 'checkpoint_shadow_%'");
+      await shadowAdapter.close();
+      assert(shadows.length === 0, 'Shadow schema is dropped');
+
+      await migrator.down();
+    } finally {
+      await cleanupMigrations(pgConfig.migrationsDir);
+    }
+  });
+
+  await test('PostgreSQL: Connects from a connection URL', async () => {
+    const { host, port, user, password, database } = pgConfig.database;
+    const url = `postgres://${encodeURIComponent(user)}:${encodeURIComponent(password)}@${host}:${port}/${database}?application_name=checkpoint_url_test`;
+    const migrator = new Migrator({ ...pgConfig, database: { url }, logger: { info() {}, warn() {} } });
+
+    await migrator.init();
+    assert((await migrator.check()).state !== 'missing-table', 'Migrator connects using the URL');
+
+    const adapter = new PostgresAdapter(migrator.config.database);
+    await adapter.connect();
+    const [row] = await adapter.query('SELECT current_setting(?) AS name', ['application_name']);
+    await adapter.close();
+    assert(row.name === 'checkpoint_url_test', 'Query parameters are passed to the driver');
+  });
+
+  await test('PostgreSQL: schema option and schema-qualified tracking table', async () => {
+    await cleanupMigrations(pgConfig.migrationsDir);
+    const logger = { info() {}, warn() {} };
+    const migrator = new Migrator({
+      ...pgConfig,
+      database: { ...pgConfig.database, schema: 'checkpoint_test_tenant' },
+      tableName: 'checkpoint_test_meta.schema_migrations',
+      logger,
+    });
+    const adapter = new PostgresAdapter(pgConfig.database);
+    await adapter.connect();
+
+    try {
+      await createRawMigration(pgConfig.migrationsDir, 'schema_widgets', `
+export async function up(adapter) {
+  await adapter.execute('CREATE TABLE pg_test_widgets (id SERIAL PRIMARY KEY)');
+}
+
+export async function down(adapter) {
+  await adapter.execute('DROP TABLE pg_test_widgets');
+}
+`);
+
+      await migrator.up();
+      const [widgets] = await adapter.query("SELECT to_regclass('checkpoint_test_tenant.pg_test_widgets') AS name");
+      assert(widgets.name !== null, 'Migration runs in the configured schema');
+      const [tracking] = await adapter.query('SELECT count(*)::int AS count FROM checkpoint_test_meta.schema_migrations');
+      assert(tracking.count === 1, 'Tracking table is created in the qualifying schema');
+      assert((await migrator.drift()).length === 0, 'Tracking table is not reported as drift');
+
+      await migrator.down();
+      const [dropped] = await adapter.query("SELECT to_regclass('checkpoint_test_tenant.pg_test_widgets') AS name");
+      assert(dropped.name === null, 'Rollback runs in the configured schema');
+    } finally {
+      await adapter.execute('DROP SCHEMA IF EXISTS checkpoint_test_tenant CASCADE');
+      await adapter.execute('DROP SCHEMA IF EXISTS checkpoint_test_meta CASCADE');
+      await adapter.close();
+      await cleanupMigrations(pgConfig.migrationsDir);
+    }
+  });
+
+  await test('PostgreSQL: lock and statement timeouts, with retries', async () => {
+    await cleanupMigrations(pgConfig.migrationsDir);
+    const warnings = [];
+    const migrator = new Migrator({
+      ...pgConfig,
+      lockTimeout: 100,
+      lockTimeoutRetries: 1,
+      lockTimeoutBackoff: 10,
+      logger: { info() {}, warn: message => warnings.push(message) },
+    });
+    const holder = new PostgresAdapter(pgConfig.database);
+    await holder.connect();
+    await holder.execute('CREATE TABLE pg_test_busy (id SERIAL PRIMARY KEY)');
+    const blocker = await holder.pool.connect();
+
+    try {
+      await createRawMigration(pgConfig.migrationsDir, 'timeout_alter', `
+export async function up(adapter) {
+  await adapter.execute('ALTER TABLE pg_test_busy ADD COLUMN note TEXT');
+}
+
+export async function down(adapter) {
+  await adapter.execute('ALTER TABLE pg_test_busy DROP COLUMN note');
+}
+`);
+      await createRawMigration(pgConfig.migrationsDir, 'timeout_sleep', `
+export const statementTimeout = 100;
+
+export async function up(adapter) {
+  await adapter.execute('SELECT pg_sleep(2)');
+}
+
+export async function down(adapter) {}
+`);
+
+      await blocker.query('BEGIN');
+      await blocker.query('LOCK TABLE pg_test_busy IN ACCESS EXCLUSIVE MODE');
+      let message = '';
+      try {
+        await migrator.up();
+      } catch (err) {
+        message = err.message;
+      }
+      assert(message.includes('lock timeout'), 'Migration gives up waiting for the table lock');
+      assert(warnings.length === 1 && warnings[0].includes('attempt 2 of 2'), 'Migration is retried up to the limit');
+      await blocker.query('ROLLBACK');
+
+      warnings.length = 0;
+      message = '';
+      try {
+        await migrator.up();
+      } catch (err) {
+        message = err.message;
+      }
+      assert(message.includes('timeout_sleep') && message.includes('statement timeout'), 'Per-migration statement timeout cancels a slow statement');
+      assert(warnings.length === 0, 'Statement timeouts are not retried');
+    } finally {
+      blocker.release();
+      await holder.execute('DROP TABLE IF EXISTS pg_test_busy');
+      await holder.execute(`DELETE FROM ${pgConfig.tableName} WHERE name LIKE '%_timeout_%'`);
+      await holder.close();
+      await cleanupMigrations(pgConfig.migrationsDir);
+    }
+  });
+
+  await test('PostgreSQL: Concurrent runners are serialized by the migration lock', async () => {
+    const holder = new PostgresAdapter(pgConfig.database);
+    await holder.connect();
+    await holder.acquireLock(pgConfig.tableName, 0);
+
+    try {
+      const migrator = new Migrator({ ...pgConfig, lockWaitTimeout: 500 });
+      let message = '';
+      try {
+        await migrator.up();
+      } catch (err) {
+        message = err.message;
+      }
+      assert(message.includes('Could not acquire migration lock'), 'Second runner times out waiting for the lock');
+      assert(message.includes('pid'), 'Error names the lock holder');
+
+      await new Migrator(pgConfig).unlock();
+
+      const contender = new PostgresAdapter(pgConfig.database);
+      await contender.connect();
+      await contender.acquireLock(pgConfig.tableName, 1000);
+      await contender.releaseLock(pgConfig.tableName);
+      await contender.close();
+      assert(true, 'Lock is free after checkpoint unlock');
+    } finally {
+      try {
+        await holder.close();
+      } catch (err) {
+        // Holder session was terminated by unlock
+      }
+    }
+  });
+
   console.log('\n✅ All PostgreSQL tests passed');
 } catch (err) {
   console.error(`\n❌ PostgreSQL tests failed or database not available: ${err.message}`);
@@ -397,6 +866,87 @@ try {
     }
   });
 
+  await test('MySQL: Failed migration is rolled back', async () => {
+    await cleanupMigrations(mysqlConfig.migrationsDir);
+
+    const setup = new MysqlAdapter(mysqlConfig.database);
+    await setup.connect();
+    await setup.execute('CREATE TABLE IF NOT EXISTS mysql_test_half (id INT AUTO_INCREMENT PRIMARY KEY, name VARCHAR(100))');
+    await setup.execute('DELETE FROM mysql_test_half');
+    await setup.execute(`DELETE FROM ${mysqlConfig.tableName}`);
+    await setup.close();
+
+    const migrator = new Migrator(mysqlConfig);
+
+    try {
+      await createRawMigration(mysqlConfig.migrationsDir, 'half_applied', `
+export async function up(adapter) {
+  await adapter.execute("INSERT INTO mysql_test_half (name) VALUES ('partial')");
+  await adapter.execute('THIS IS NOT SQL');
+}
+
+export async function down(adapter) {
+  await adapter.execute('DELETE FROM mysql_test_half');
+}
+`);
+
+      let failed = false;
+      try {
+        await migrator.up();
+      } catch (err) {
+        failed = true;
+      }
+      assert(failed, 'Migration failure is reported');
+
+      const adapter = new MysqlAdapter(mysqlConfig.database);
+      await adapter.connect();
+      const [rows] = await adapter.connection.execute('SELECT * FROM mysql_test_half');
+      assert(rows.length === 0, 'Partial data change was rolled back');
+      const executed = await adapter.getMigrations(mysqlConfig.tableName);
+      assert(!executed.some(name => name.includes('half_applied')), 'Failed migration was not recorded');
+      await adapter.close();
+    } finally {
+      const cleanup = new MysqlAdapter(mysqlConfig.database);
+      await cleanup.connect();
+      await cleanup.execute('DROP TABLE IF EXISTS mysql_test_half');
+      await cleanup.close();
+      await cleanupMigrations(mysqlConfig.migrationsDir);
+    }
+  });
+
+  await test('MySQL: Concurrent runners are serialized by the migration lock', async () => {
+    const holder = new MysqlAdapter(mysqlConfig.database);
+    await holder.connect();
+    await holder.acquireLock(mysqlConfig.tableName, 0);
+
+    try {
+      const migrator = new Migrator({ ...mysqlConfig, lockWaitTimeout: 1000 });
+      let message = '';
+      try {
+        await migrator.up();
+      } catch (err) {
+        message = err.message;
+      }
+      assert(message.includes('Could not acquire migration lock'), 'Second runner times out waiting for the lock');
+      assert(message.includes('connection'), 'Error names the lock holder');
+
+      await new Migrator(mysqlConfig).unlock();
+
+      const contender = new MysqlAdapter(mysqlConfig.database);
+      await contender.connect();
+      await contender.acquireLock(mysqlConfig.tableName, 1000);
+      await contender.releaseLock(mysqlConfig.tableName);
+      await contender.close();
+      assert(true, 'Lock is free after checkpoint unlock');
+    } finally {
+      try {
+        await holder.close();
+      } catch (err) {
+        // Holder connection was killed by unlock
+      }
+    }
+  });
+
   console.log('\n✅ All MySQL tests passed');
 } catch (err) {
   console.error(`\n❌ MySQL tests failed or database not available: ${err.message}`);
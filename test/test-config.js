@@ -13,6 +13,15 @@ export const testConfig = {
       password: process.env.TEST_PG_PASSWORD || 'postgres',
       database: process.env.TEST_PG_DB || 'checkpoint_test',
     },
+    // drift replays migrations here; the integration tests create it if missing
+    shadowDatabase: {
+      type: 'postgres',
+      host: process.env.TEST_PG_HOST || 'localhost',
+      port: parseInt(process.env.TEST_PG_PORT || '5433'),
+      user: process.env.TEST_PG_USER || 'postgres',
+      password: process.env.TEST_PG_PASSWORD || 'postgres',
+      database: process.env.TEST_PG_SHADOW_DB || 'checkpoint_test_shadow',
+    },
     migrationsDir: './test/migrations/postgres',
     tableName: 'test_schema_migrations',
   },
@@ -28,4 +37,12 @@ export const testConfig = {
     migrationsDir: './test/migrations/mysql',
     tableName: 'test_schema_migrations',
   },
+  sqlite: {
+    database: {
+      type: 'sqlite',
+      filename: process.env.TEST_SQLITE_FILE || './test/checkpoint_test.sqlite3',
+    },
+    migrationsDir: './test/migrations/sqlite',
+    tableName: 'test_schema_migrations',
+  },
 };